@@ -9,16 +9,35 @@
  * - Header scroll effects (sticky, shadow)
  * - Mobile navigation sidebar toggle
  * - Category dropdown interactivity (desktop & mobile)
- * - Search bar with dynamic suggestions
+ * - Search bar with keyboard-accessible (ARIA combobox) suggestions and a ranked, typo-tolerant search results view
  * - Dynamic Cart management (add, remove, update quantity, calculate total)
- * - Local Storage persistence for cart and user preferences
+ * - Per-customer carts; the guest cart is merged into the customer's saved cart on login
+ * - Small state store (dispatch actions, selector subscriptions) that keeps the cart, counts and login UI in sync
+ * - Per-city delivery fees, free-delivery threshold, slot surcharges and product availability
+ * - Stock levels and per-order quantity limits from the catalog, with "only N left" / out-of-stock states and back-in-stock alerts
+ * - Unit prices (per kg / L / 100 g / piece) parsed from product sizes, with a unit-price catalog sort and a dev-mode catalog lint
+ * - Product sizes (variants) with their own price, stock and image, chosen on the card or detail page; each size is its own cart line
+ * - Wishlist / save for later, stored per user, with move-to-cart
+ * - Declarative offer rules (BOGO, flat/percent off, thresholds, coupon codes) for cart discounts and badges
+ * - Multi-step checkout (address, delivery slot, review, payment) with a pluggable payment adapter
+ * - Per-user order history with simulated order tracking and reorder
+ * - Daily / alternate-day dairy subscriptions with pause, skip-a-day, vacation mode, a delivery calendar and a monthly bill estimate
+ * - Account page to edit name, email and phone, with an address book (Home/Work, PIN code checks, default address used at checkout)
+ * - Local Storage persistence for cart and user preferences, with versioned records, validation and migrations
+ * - Saved cart checked against the catalog on load (updated prices, discontinued products removed)
+ * - Cart and login kept in sync across open tabs (last change wins; logging out logs out every tab)
  * - Login/Register modal functionality with form validation
+ * - Authentication with salted (PBKDF2) password hashes, expiring sessions, "Remember Me" and pluggable backends (localStorage or a fetch API)
+ * - Phone number OTP verification at registration and a forgot-password (email code) reset flow
  * - Dynamic "Add to Cart" and "Buy Now" button states
  * - Smooth scrolling for navigation links
  * - Owl Carousel initialization for various sections
- * - Product data management (dummy data for demonstration)
+ * - Product catalog loaded from a JSON API (bundled data/products.json fixture) with caching, loading and retry states
+ * - Product catalog with category, price and offer filters, sorting, pagination and shareable URLs
+ * - Hash router (#/category/..., #/product/..., #/search?q=..., #/cart, #/orders, #/account, #/subscriptions) with back/forward and scroll restoration
  * - Toast notifications for user feedback
- * - Quantity selector for products
+ * - Markup built with an escaping html`` template tag, so product data and customer names render as text
+ * - Product detail modal with quantity selector, "frequently bought together" and category carousels
  * - Lazy loading for images (optional, to be implemented for performance if needed)
  * - Input animations and validations
  * - General UI enhancements and responsiveness
@@ -29,48 +48,490 @@ const appState = {
     cart: [],
     products: [], // Will store dummy product data
     isLoggedIn: false,
-    currentUser: null
+    currentUser: null,
+    couponCode: null, // Coupon entered in the cart, validated against offerRules
+    deliveryCity: 'delhi', // Key of deliveryPricing, chosen in the header location selector
+    wishlist: [] // Product ids saved for later, stored per user
 };
 
+// --- State Store ---
+// appState changes only through dispatch(). Actions replace the arrays and objects they change
+// instead of editing them in place, so subscribers can tell what changed by reference.
+const storeActions = {
+    'products/set': (state, { products }) => {
+        state.products = products;
+    },
+    // items: [{ product, quantity }]; products already in the cart get the extra quantity
+    'cart/addItems': (state, { items }) => {
+        const cart = [...state.cart];
+        items.forEach(({ product, quantity }) => {
+            const index = cart.findIndex(item => item.id === product.id);
+            if (index === -1) {
+                cart.push(createCartItem(product, quantity));
+            } else {
+                cart[index] = { ...cart[index], quantity: cart[index].quantity + quantity };
+            }
+        });
+        state.cart = cart;
+    },
+    'cart/setQuantity': (state, { productId, quantity }) => {
+        state.cart = quantity > 0
+            ? state.cart.map(item => (item.id === productId ? { ...item, quantity } : item))
+            : state.cart.filter(item => item.id !== productId);
+    },
+    'cart/remove': (state, { productId }) => {
+        state.cart = state.cart.filter(item => item.id !== productId);
+    },
+    'cart/clear': (state) => {
+        state.cart = [];
+        state.couponCode = null;
+    },
+    // Removes what an order was placed for; anything added since (here or in another tab) stays in the cart
+    'cart/removeItems': (state, { items, couponCode }) => {
+        state.cart = removeOrderedItems(state.cart, items);
+        if (state.couponCode === couponCode) state.couponCode = null;
+    },
+    'cart/load': (state, { cart, couponCode }) => {
+        state.cart = cart;
+        state.couponCode = couponCode;
+    },
+    'coupon/set': (state, { couponCode }) => {
+        state.couponCode = couponCode;
+    },
+    'delivery/setCity': (state, { city }) => {
+        state.deliveryCity = city;
+    },
+    'auth/setUser': (state, { user }) => {
+        state.isLoggedIn = Boolean(user);
+        state.currentUser = user || null;
+    },
+    'wishlist/load': (state, { wishlist }) => {
+        state.wishlist = wishlist;
+    },
+    'wishlist/add': (state, { productId }) => {
+        if (!state.wishlist.includes(productId)) state.wishlist = [...state.wishlist, productId];
+    },
+    'wishlist/remove': (state, { productId }) => {
+        state.wishlist = state.wishlist.filter(id => id !== productId);
+    }
+};
+
+const storeSubscribers = [];
+
+/**
+ * Runs an action from storeActions against appState and notifies subscribers.
+ * @param {string} type - e.g. 'cart/addItems'.
+ * @param {Object} payload
+ */
+function dispatch(type, payload = {}) {
+    const action = storeActions[type];
+    if (!action) throw new Error(`Unknown store action "${type}".`);
+    action(appState, payload);
+    storeSubscribers.slice().forEach(subscriber => subscriber());
+}
+
+/**
+ * Calls listener whenever the value picked by selector changes. Selectors may return an
+ * array of values; it counts as changed when any entry changes.
+ * @param {Function} selector - Picks values from appState, e.g. selectCartItemCount.
+ * @param {Function} listener - Called with the new selection.
+ * @returns {Function} Unsubscribes the listener.
+ */
+function subscribe(selector, listener) {
+    let previous = selector(appState);
+    const subscriber = () => {
+        const next = selector(appState);
+        const changed = Array.isArray(next) && Array.isArray(previous)
+            ? next.length !== previous.length || next.some((value, i) => value !== previous[i])
+            : next !== previous;
+        if (!changed) return;
+        previous = next;
+        listener(next);
+    };
+    storeSubscribers.push(subscriber);
+    return () => {
+        const index = storeSubscribers.indexOf(subscriber);
+        if (index !== -1) storeSubscribers.splice(index, 1);
+    };
+}
+
+// Selectors
+function selectCartItemCount(state) {
+    return state.cart.reduce((count, item) => count + item.quantity, 0);
+}
+
+function selectCartSubtotal(state) {
+    return state.cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+}
+
+// Payable total after offers and delivery charges (see getCartTotals)
+function selectCartTotal(state) {
+    return getCartTotals(state.cart, state.couponCode).total;
+}
+
+// --- Persistence (versioned localStorage) ---
+// Records are saved as { version, data }. Each schema has a key, its current version, migrations
+// (migrations[n] turns version n data into version n + 1) and validate(data), which returns the cleaned-up
+// data or null. Values saved before versioning (bare JSON) count as version 1.
+const persistenceState = {
+    hasWarnedStorageFull: false
+};
+
+// key is the cart shared by everyone before carts were per customer; see getCartSchema
+const cartSchema = {
+    key: 'motherMilkPalaceCart',
+    version: 2,
+    migrations: {
+        // Version 1 was the bare item array, with the coupon under its own key
+        1: items => ({ items, couponCode: localStorage.getItem('motherMilkPalaceCouponCode'), revision: null })
+    },
+    validate: validateStoredCart
+};
+
+/**
+ * Reads a record, migrating it to the schema's current version. Records that can't be parsed or
+ * fail validation are removed; records saved by a newer version of the site are left alone.
+ * @param {{ key: string, version: number, migrations: Object, validate: Function }} schema
+ * @param {Storage} [storage]
+ * @returns {*} The validated data, or null.
+ */
+function readStoredRecord(schema, storage = localStorage) {
+    const raw = storage.getItem(schema.key);
+    if (raw === null) return null;
+    try {
+        const parsed = JSON.parse(raw);
+        const isVersioned = Boolean(parsed) && typeof parsed === 'object' && Number.isInteger(parsed.version) && 'data' in parsed;
+        let version = isVersioned ? parsed.version : 1;
+        let data = isVersioned ? parsed.data : parsed;
+        if (version > schema.version) {
+            console.warn(`Ignoring ${schema.key}: saved by a newer version (${version}) of the site.`);
+            return null;
+        }
+        while (version < schema.version) {
+            data = schema.migrations[version](data);
+            version += 1;
+        }
+        const validData = schema.validate(data);
+        if (validData === null) throw new Error('the saved data is not valid');
+        if (!isVersioned || parsed.version !== schema.version) writeStoredRecord(schema, validData, storage); // Save in the current format
+        return validData;
+    } catch (error) {
+        console.warn(`Discarding saved ${schema.key}:`, error);
+        storage.removeItem(schema.key);
+        return null;
+    }
+}
+
+/**
+ * Saves a record in the schema's current version. When storage is full, the product cache (which can be
+ * fetched again) is dropped and the write retried; if it still fails the customer is warned once.
+ * @param {{ key: string, version: number }} schema
+ * @param {*} data
+ * @param {Storage} [storage]
+ * @returns {boolean} Whether the record was saved.
+ */
+function writeStoredRecord(schema, data, storage = localStorage) {
+    const value = JSON.stringify({ version: schema.version, data });
+    try {
+        storage.setItem(schema.key, value);
+        return true;
+    } catch (error) {
+        if (isStorageFullError(error)) {
+            localStorage.removeItem(PRODUCTS_CACHE_KEY);
+            try {
+                storage.setItem(schema.key, value);
+                return true;
+            } catch (retryError) {
+                error = retryError;
+            }
+        }
+        console.error(`Could not save ${schema.key}:`, error);
+        if (!persistenceState.hasWarnedStorageFull) {
+            persistenceState.hasWarnedStorageFull = true;
+            showToast("Your browser's storage is full, so some changes won't be kept after you leave the page.", 'error');
+        }
+        return false;
+    }
+}
+
+function isStorageFullError(error) {
+    // Older Firefox uses NS_ERROR_DOM_QUOTA_REACHED
+    return error instanceof DOMException && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Validates saved cart data, dropping items that are missing fields.
+ * @returns {{ items: Object[], couponCode: string|null, revision: Object|null }|null}
+ */
+function validateStoredCart(data) {
+    if (!data || !Array.isArray(data.items)) return null;
+    return {
+        items: data.items.filter(item => Boolean(item)
+            && typeof item.id === 'string' && typeof item.name === 'string'
+            && Number.isFinite(item.price) && item.price >= 0
+            && Number.isInteger(item.quantity) && item.quantity > 0),
+        couponCode: typeof data.couponCode === 'string' && data.couponCode ? data.couponCode : null,
+        revision: isValidSyncRevision(data.revision) ? data.revision : null
+    };
+}
+
+// --- Safe HTML Rendering ---
+// Markup is built with the html`` tag, which escapes every interpolated value unless it is itself
+// html`` output (or trustedHtml() for markup that contains no data). Arrays are joined, null and
+// undefined render nothing, and booleans render as "true"/"false" (so aria-pressed="${isSaved}" works);
+// use a ternary with '' for optional markup. setHtml() is the only way markup goes into the page.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const safeHtmlValues = new WeakSet(); // Markup made by html``/trustedHtml(); plain objects can't pass as safe
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Marks a string of markup as safe to render. Only for markup written in this file, never for data.
+ * @param {string} markup
+ * @returns {{ markup: string }}
+ */
+function trustedHtml(markup) {
+    const safeHtml = Object.freeze({ markup: String(markup) });
+    safeHtmlValues.add(safeHtml);
+    return safeHtml;
+}
+
+function renderHtmlValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (safeHtmlValues.has(value)) return value.markup;
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag for markup: html`<h4>${item.name}</h4>` renders item.name as text.
+ * @returns {{ markup: string }}
+ */
+function html(strings, ...values) {
+    return trustedHtml(strings.reduce((markup, string, i) => markup + renderHtmlValue(values[i - 1]) + string));
+}
+
+/**
+ * Replaces an element's content with markup from html`` or trustedHtml().
+ * @param {HTMLElement} element
+ * @param {{ markup: string }} content
+ */
+function setHtml(element, content) {
+    if (!safeHtmlValues.has(content)) {
+        throw new TypeError('setHtml() only accepts markup from html`` or trustedHtml().');
+    }
+    element.innerHTML = content.markup;
+}
+
 // --- Utility Functions ---
 
+// What logging out does to the cart: 'clear' starts an empty guest cart (the customer's cart stays saved
+// with their account), 'keep' leaves a copy of it as the guest cart.
+const CART_LOGOUT_POLICY = 'clear';
+// How quantities combine when a guest cart product is already in the customer's saved cart: 'max' or 'sum'.
+const CART_MERGE_QUANTITY_RULE = 'max';
+
+/**
+ * Returns the localStorage key holding a customer's cart.
+ * @param {string|null} email - null for the guest cart.
+ * @returns {string}
+ */
+function getCartStorageKey(email) {
+    return `motherMilkPalaceCart:${email ? email.toLowerCase() : 'guest'}`;
+}
+
+/**
+ * Returns cartSchema for a customer's (or the guest) cart key.
+ * @param {string|null} email
+ */
+function getCartSchema(email) {
+    return { ...cartSchema, key: getCartStorageKey(email) };
+}
+
+function getCurrentCartSchema() {
+    return getCartSchema(appState.currentUser ? appState.currentUser.email : null);
+}
+
 /**
- * Saves appState.cart to localStorage.
+ * Saves appState.cart to localStorage with a new revision. Runs automatically when the cart or coupon changes.
  */
 function saveCartToLocalStorage() {
-    localStorage.setItem('motherMilkPalaceCart', JSON.stringify(appState.cart));
-    updateCartUI(); // Ensure UI is updated after saving
+    if (tabSyncState.isApplyingStoredCart) return; // Already in storage; saving it again would look like a new change to other tabs
+    tabSyncState.cartRevision = createSyncRevision(tabSyncState.cartRevision);
+    writeCartToLocalStorage();
+}
+
+/**
+ * Writes the cart, coupon and this tab's cart revision to localStorage.
+ */
+function writeCartToLocalStorage() {
+    writeStoredRecord(getCurrentCartSchema(), { items: appState.cart, couponCode: appState.couponCode, revision: tabSyncState.cartRevision });
 }
 
 /**
- * Loads cart from localStorage.
+ * Loads the current customer's (or the guest) cart from localStorage. Once the catalog is loaded,
+ * items are checked against it (see reconcileCartWithProducts).
  */
 function loadCartFromLocalStorage() {
-    const savedCart = localStorage.getItem('motherMilkPalaceCart');
-    if (savedCart) {
-        appState.cart = JSON.parse(savedCart);
+    migrateSharedCart();
+    const savedCart = readStoredRecord(getCurrentCartSchema());
+    tabSyncState.cartRevision = savedCart ? savedCart.revision : null;
+    tabSyncState.isApplyingStoredCart = true;
+    try {
+        dispatch('cart/load', {
+            cart: savedCart ? savedCart.items : [],
+            couponCode: savedCart ? savedCart.couponCode : null
+        });
+    } finally {
+        tabSyncState.isApplyingStoredCart = false;
     }
-    updateCartUI(); // Update UI immediately after loading
+    if (productsState.status === 'ready') reconcileCartWithProducts();
+}
+
+/**
+ * Moves the cart saved under the old shared 'motherMilkPalaceCart' key to the current customer (or the guest).
+ */
+function migrateSharedCart() {
+    if (localStorage.getItem(cartSchema.key) === null) return;
+    const sharedCart = readStoredRecord(cartSchema);
+    localStorage.removeItem(cartSchema.key);
+    localStorage.removeItem('motherMilkPalaceCouponCode'); // Part of the cart record since version 2
+    const schema = getCurrentCartSchema();
+    if (sharedCart && localStorage.getItem(schema.key) === null) writeStoredRecord(schema, sharedCart);
+}
+
+/**
+ * Merges the cart filled in as a guest into the saved cart of the customer who just logged in
+ * (see CART_MERGE_QUANTITY_RULE), then empties the guest cart. Tells the customer what was added.
+ */
+function mergeGuestCart() {
+    if (!appState.currentUser) return;
+    const guestCart = readStoredRecord(getCartSchema(null));
+    localStorage.removeItem(getCartStorageKey(null));
+    if (!guestCart || guestCart.items.length === 0) return;
+
+    const schema = getCartSchema(appState.currentUser.email);
+    const userCart = readStoredRecord(schema) || { items: [], couponCode: null, revision: null };
+    const items = [...userCart.items];
+    let addedCount = 0;
+    const increased = [];
+    guestCart.items.forEach(guestItem => {
+        const index = items.findIndex(item => item.id === guestItem.id);
+        if (index === -1) {
+            items.push(guestItem);
+            addedCount += 1;
+            return;
+        }
+        const quantity = CART_MERGE_QUANTITY_RULE === 'sum'
+            ? items[index].quantity + guestItem.quantity
+            : Math.max(items[index].quantity, guestItem.quantity);
+        if (quantity === items[index].quantity) return;
+        items[index] = { ...items[index], quantity };
+        increased.push(`${items[index].name} (now ${quantity})`);
+    });
+    const couponCode = userCart.couponCode || guestCart.couponCode;
+    if (addedCount === 0 && increased.length === 0 && couponCode === userCart.couponCode) return;
+
+    writeStoredRecord(schema, {
+        items,
+        couponCode,
+        revision: createSyncRevision(userCart.revision)
+    });
+    const messages = [];
+    if (addedCount > 0) messages.push(`Added ${addedCount} item(s) from before you logged in to your cart.`);
+    if (increased.length > 0) messages.push(`Updated quantities: ${increased.join(', ')}.`);
+    if (messages.length > 0) showToast(messages.join(' '), 'info');
+}
+
+/**
+ * Returns the localStorage key holding a customer's wishlist.
+ * @param {string|null} email - null for the guest wishlist.
+ * @returns {string}
+ */
+function getWishlistStorageKey(email) {
+    return `motherMilkPalaceWishlist:${email ? email.toLowerCase() : 'guest'}`;
+}
+
+/**
+ * Returns the saved wishlist format (product ids) for a customer's (or the guest) wishlist key.
+ * @param {string|null} email
+ */
+function getWishlistSchema(email) {
+    return {
+        key: getWishlistStorageKey(email),
+        version: 1,
+        migrations: {},
+        validate: wishlist => (Array.isArray(wishlist) ? wishlist.filter(id => typeof id === 'string') : null)
+    };
+}
+
+/**
+ * Reads the ids saved in a wishlist, as stored (they may not be in the catalog, or it may not have loaded yet).
+ * @param {string|null} email
+ * @returns {string[]}
+ */
+function readStoredWishlistIds(email) {
+    return readStoredRecord(getWishlistSchema(email)) || [];
+}
+
+/**
+ * Reads a wishlist from localStorage, keeping only ids of known products.
+ * @param {string|null} email
+ * @returns {string[]}
+ */
+function readWishlist(email) {
+    return readStoredWishlistIds(email).filter(id => appState.products.some(p => p.id === id));
+}
+
+/**
+ * Saves appState.wishlist under the current user (or guest) key. Called by the changes the customer
+ * makes, not on every store change: a wishlist loaded before the catalog is empty and mustn't be saved.
+ */
+function saveWishlistToLocalStorage() {
+    const email = appState.currentUser ? appState.currentUser.email : null;
+    writeStoredRecord(getWishlistSchema(email), appState.wishlist);
+}
+
+/**
+ * Loads the current user's (or the guest) wishlist from localStorage.
+ */
+function loadWishlistFromLocalStorage() {
+    dispatch('wishlist/load', { wishlist: readWishlist(appState.currentUser ? appState.currentUser.email : null) });
 }
 
 /**
- * Saves user login state to localStorage.
+ * Moves products saved as a guest into the wishlist of the user who just logged in. Works on the stored
+ * ids, so nothing is lost when this runs before the catalog has loaded.
  */
-function saveLoginStateToLocalStorage() {
-    localStorage.setItem('motherMilkPalaceIsLoggedIn', appState.isLoggedIn);
-    localStorage.setItem('motherMilkPalaceCurrentUser', JSON.stringify(appState.currentUser));
+function mergeGuestWishlist() {
+    if (!appState.currentUser) return;
+    const guestWishlist = readStoredWishlistIds(null);
+    if (guestWishlist.length === 0) return;
+    const userWishlist = readStoredWishlistIds(appState.currentUser.email);
+    const merged = [...userWishlist, ...guestWishlist.filter(id => !userWishlist.includes(id))];
+    writeStoredRecord(getWishlistSchema(appState.currentUser.email), merged);
+    localStorage.removeItem(getWishlistStorageKey(null));
 }
 
 /**
- * Loads user login state from localStorage.
+ * Restores the logged-in customer from the stored session (see Authentication).
  */
 function loadLoginStateFromLocalStorage() {
-    appState.isLoggedIn = localStorage.getItem('motherMilkPalaceIsLoggedIn') === 'true';
-    const currentUserData = localStorage.getItem('motherMilkPalaceCurrentUser');
-    if (currentUserData && appState.isLoggedIn) {
-        appState.currentUser = JSON.parse(currentUserData);
-    }
-    updateLoginUI();
+    // Pre-auth builds stored the user without a session; those logins are no longer valid
+    localStorage.removeItem('motherMilkPalaceIsLoggedIn');
+    localStorage.removeItem('motherMilkPalaceCurrentUser');
+
+    const session = readStoredSession();
+    if (session) scheduleSessionExpiry(session);
+    tabSyncState.sessionToken = session ? session.token : null;
+    setLoginState(session ? session.user : null);
 }
 
 /**
@@ -91,7 +552,7 @@ function showToast(message, type = 'info', duration = 5000) {
     else if (type === 'error') iconClass = 'fas fa-times-circle';
     else iconClass = 'fas fa-info-circle';
 
-    toast.innerHTML = `<i class="${iconClass}"></i><span>${message}</span>`;
+    setHtml(toast, html`<i class="${iconClass}"></i><span>${message}</span>`);
     
     toastContainer.appendChild(toast);
 
@@ -117,976 +578,6106 @@ function isValidEmail(email) {
     return re.test(String(email).toLowerCase());
 }
 
-// --- Dummy Product Data (for demonstration) ---
-// In a real application, this would come from an API
-appState.products = [
-    { id: 'milk-1l', name: 'Mother Dairy Full Cream Milk 1L', price: 66.00, imageUrl: 'images/product-milk.png', weight: '1 Litre', category: 'dairy-bakery', offerPrice: 49.50 },
-    { id: 'atta-5kg', name: 'Aashirvaad Shudh Chakki Atta 5kg', price: 280.00, imageUrl: 'images/product-atta.png', weight: '5 kg', category: 'staples-snacks', offerPrice: 238.00 },
-    { id: 'onion-1kg', name: 'Fresh Onion (Pyaz)', price: 35.00, imageUrl: 'images/product-onion.png', weight: '1 kg', category: 'fruits-vegetables', offerPrice: 28.00 },
-    { id: 'potato-1kg', name: 'Fresh Potato (Aloo)', price: 25.00, imageUrl: 'images/product-potato.png', weight: '1 kg', category: 'fruits-vegetables', offerPrice: 25.00 }, // BOGO offer handled in JS logic
-    { id: 'paneer-200g', name: 'Amul Fresh Paneer 200g', price: 85.00, imageUrl: 'images/product-paneer.png', weight: '200 gm', category: 'dairy-bakery', offerPrice: 68.00 },
-    { id: 'bread-400g', name: 'Britannia Brown Bread', price: 40.00, imageUrl: 'images/product-bread.png', weight: '400 gm', category: 'dairy-bakery', offerPrice: 36.00 },
-    { id: 'rice-1kg', name: 'Daawat Rozana Basmati Rice 1kg', price: 149.00, imageUrl: 'images/product-rice.png', weight: '1 kg', category: 'atta-rice-dal', offerPrice: 99.00 },
-    { id: 'oil-1l', name: 'Fortune Refined Sunflower Oil 1L', price: 145.00, imageUrl: 'images/product-oil.png', weight: '1 Litre', category: 'oil-ghee-masala', offerPrice: 125.00 },
-    { id: 'tea-250g', name: 'Tata Tea Premium', price: 125.00, imageUrl: 'images/product-tea.png', weight: '250 gm', category: 'beverages', offerPrice: 110.00 },
-    { id: 'sugar-1kg', name: 'Sugar (Cheeni)', price: 50.00, imageUrl: 'images/product-sugar.png', weight: '1 kg', category: 'staples-snacks', offerPrice: 35.00 },
-    { id: 'tomato-500g', name: 'Fresh Tomato (Tamatar)', price: 30.00, imageUrl: 'images/product-tomato.png', weight: '500 gm', category: 'fruits-vegetables', offerPrice: 20.00 },
-    { id: 'dettol-handwash', name: 'Dettol Original Handwash Refill', price: 140.00, imageUrl: 'images/product-dettol.png', weight: '750 ml', category: 'personal-care', offerPrice: 85.00 },
-    { id: 'apples-1kg', name: 'Fresh Apples (Imported)', price: 180.00, imageUrl: 'images/product-apples.png', weight: '1 kg', category: 'fruits-vegetables', offerPrice: 160.00 },
-    { id: 'yogurt-200g', name: 'Amul Dahi', price: 30.00, imageUrl: 'images/product-yogurt.png', weight: '200g', category: 'dairy-bakery', offerPrice: 27.00 },
-    { id: 'chips-maggie', name: 'Lays Classic Salted Chips', price: 20.00, imageUrl: 'images/product-chips.png', weight: '52g', category: 'snacks-biscuits', offerPrice: 18.00 },
-    { id: 'coke-bottle', name: 'Coca-Cola (Large Bottle)', price: 90.00, imageUrl: 'images/product-coke.png', weight: '2.25L', category: 'beverages', offerPrice: 80.00 },
-    { id: 'shampoo-dove', name: 'Dove Daily Shine Shampoo', price: 350.00, imageUrl: 'images/product-shampoo.png', weight: '650ml', category: 'personal-care', offerPrice: 300.00 },
-    { id: 'detergent-surf', name: 'Surf Excel Matic Liquid Detergent', price: 450.00, imageUrl: 'images/product-detergent.png', weight: '1L', category: 'household-cleaning', offerPrice: 400.00 },
-    { id: 'diapers-huggies', name: 'Huggies Wonder Pants Diapers', price: 600.00, imageUrl: 'images/product-diapers.png', weight: 'M, 42pcs', category: 'baby-care', offerPrice: 550.00 },
-    { id: 'chicken-boneless', name: 'Fresh Chicken Boneless (Breast)', price: 280.00, imageUrl: 'images/product-chicken.png', weight: '500g', category: 'eggs-meat-fish', offerPrice: 250.00 },
-    // Add more products to easily exceed 2000 lines if dynamically rendered
-    { id: 'maggi-noodles', name: 'Maggi 2-Minute Noodles', price: 14.00, imageUrl: 'images/product-maggi.png', weight: '70g', category: 'instant-food-mixes', offerPrice: 12.00 },
-    { id: 'coffee-nescafe', name: 'Nescafe Classic Coffee', price: 180.00, imageUrl: 'images/product-coffee.png', weight: '100g', category: 'beverages', offerPrice: 165.00 },
-    { id: 'biscuits-parle', name: 'Parle-G Original Biscuits', price: 10.00, imageUrl: 'images/product-parleg.png', weight: '50g', category: 'snacks-biscuits', offerPrice: 9.00 },
-    { id: 'honey-dabur', name: 'Dabur Honey', price: 220.00, imageUrl: 'images/product-honey.png', weight: '250g', category: 'organic-healthy', offerPrice: 199.00 },
-    { id: 'soap-lux', name: 'Lux Jasmine & Vitamin E Soap', price: 50.00, imageUrl: 'images/product-lux-soap.png', weight: '125g', category: 'personal-care', offerPrice: 45.00 },
-    { id: 'toothpaste-colgate', name: 'Colgate Strong Teeth Toothpaste', price: 120.00, imageUrl: 'images/product-colgate.png', weight: '200g', category: 'personal-care', offerPrice: 105.00 },
-    { id: 'butter-amul', name: 'Amul Butter', price: 55.00, imageUrl: 'images/product-amul-butter.png', weight: '100g', category: 'dairy-bakery', offerPrice: 50.00 },
-    { id: 'eggs-tray', name: 'Farm Fresh Eggs (Tray of 6)', price: 45.00, imageUrl: 'images/product-eggs.png', weight: '6 pcs', category: 'eggs-meat-fish', offerPrice: 40.00 },
-    { id: 'dal-arhar', name: 'Tata Sampann Toor Dal', price: 150.00, imageUrl: 'images/product-dal.png', weight: '500g', category: 'atta-rice-dal', offerPrice: 135.00 },
-    { id: 'juice-real', name: 'Real Mixed Fruit Juice', price: 100.00, imageUrl: 'images/product-juice.png', weight: '1 Litre', category: 'beverages', offerPrice: 90.00 },
-    { id: 'detergent-powder', name: 'Tide Plus Detergent Powder', price: 200.00, imageUrl: 'images/product-tide.png', weight: '1 kg', category: 'household-cleaning', offerPrice: 180.00 },
-    { id: 'baby-lotion', name: 'Johnson Baby Lotion', price: 250.00, imageUrl: 'images/product-baby-lotion.png', weight: '200ml', category: 'baby-care', offerPrice: 220.00 },
-    { id: 'cat-food', name: 'Whiskas Dry Cat Food', price: 300.00, imageUrl: 'images/product-cat-food.png', weight: '450g', category: 'pet-care', offerPrice: 270.00 },
-    { id: 'fish-rohu', name: 'Fresh Rohu Fish', price: 220.00, imageUrl: 'images/product-fish.png', weight: '500g', category: 'eggs-meat-fish', offerPrice: 200.00 },
-    { id: 'icecream-vanilla', name: 'Kwality Walls Vanilla Ice Cream', price: 150.00, imageUrl: 'images/product-icecream.png', weight: '700ml', category: 'frozen-items', offerPrice: 130.00 },
-    { id: 'pasta-macroni', name: 'Weikfield Macaroni Pasta', price: 80.00, imageUrl: 'images/product-pasta.png', weight: '400g', category: 'instant-food-mixes', offerPrice: 70.00 },
-    { id: 'cake-slice', name: 'Chocolate Pastry', price: 60.00, imageUrl: 'images/product-cake.png', weight: '1 pc', category: 'bakery-desserts', offerPrice: 55.00 },
-    { id: 'kitchen-knife', name: 'Kitchen Chef Knife', price: 300.00, imageUrl: 'images/product-knife.png', weight: '1 pc', category: 'kitchen-accessories', offerPrice: 270.00 },
-    { id: 'ghee-patanjali', name: 'Patanjali Cow Ghee', price: 400.00, imageUrl: 'images/product-ghee.png', weight: '500ml', category: 'oil-ghee-masala', offerPrice: 380.00 },
-    { id: 'jam-kishan', name: 'Kissan Mixed Fruit Jam', price: 120.00, imageUrl: 'images/product-jam.png', weight: '250g', category: 'breakfast-cereals', offerPrice: 110.00 },
-    { id: 'muesli-bagrrys', name: 'Bagrrys Crunchy Muesli', price: 300.00, imageUrl: 'images/product-muesli.png', weight: '500g', category: 'breakfast-cereals', offerPrice: 280.00 },
-    { id: 'choco-bournville', name: 'Cadbury Bournville Dark Chocolate', price: 100.00, imageUrl: 'images/product-chocolate.png', weight: '80g', category: 'sweet-craving', offerPrice: 90.00 },
-    { id: 'noodles-ching', name: 'Ching\'s Secret Hakka Noodles', price: 40.00, imageUrl: 'images/product-ching-noodles.png', weight: '150g', category: 'instant-food-mixes', offerPrice: 35.00 },
-    { id: 'spices-everest', name: 'Everest Garam Masala', price: 60.00, imageUrl: 'images/product-everest-masala.png', weight: '50g', category: 'oil-ghee-masala', offerPrice: 55.00 },
-    { id: 'cleaner-harpic', name: 'Harpic Powerplus Toilet Cleaner', price: 120.00, imageUrl: 'images/product-harpic.png', weight: '1 Litre', category: 'household-cleaning', offerPrice: 105.00 },
-    { id: 'biscuits-oreo', name: 'Oreo Cream Biscuits', price: 40.00, imageUrl: 'images/product-oreo.png', weight: '120g', category: 'snacks-biscuits', offerPrice: 36.00 },
-    { id: 'soup-knorr', name: 'Knorr Classic Thick Tomato Soup', price: 60.00, imageUrl: 'images/product-knorr-soup.png', weight: '43g', category: 'instant-food-mixes', offerPrice: 55.00 },
-    { id: 'pickles-swad', name: 'Swad Mango Pickle', price: 180.00, imageUrl: 'images/product-pickle.png', weight: '400g', category: 'gourmet-world-food', offerPrice: 160.00 },
-    { id: 'dryfruits-almond', name: 'Happilo California Almonds', price: 500.00, imageUrl: 'images/product-almond.png', weight: '200g', category: 'organic-healthy', offerPrice: 450.00 },
-    { id: 'detergent-vim', name: 'Vim Dishwash Bar', price: 25.00, imageUrl: 'images/product-vim.png', weight: '150g', category: 'household-cleaning', offerPrice: 22.00 },
-    { id: 'softdrink-sprite', name: 'Sprite Cold Drink', price: 60.00, imageUrl: 'images/product-sprite.png', weight: '600ml', category: 'beverages', offerPrice: 55.00 },
-    { id: 'shaving-gillette', name: 'Gillette Mach3 Razor', price: 400.00, imageUrl: 'images/product-gillette.png', weight: '1 pc', category: 'personal-care', offerPrice: 370.00 },
-    { id: 'babyfood-cerelac', name: 'Nestle Cerelac Wheat', price: 280.00, imageUrl: 'images/product-cerelac.png', weight: '400g', category: 'baby-care', offerPrice: 250.00 },
-    { id: 'petfood-pedigree', name: 'Pedigree Adult Dog Food', price: 550.00, imageUrl: 'images/product-pedigree.png', weight: '1.2 kg', category: 'pet-care', offerPrice: 500.00 },
-    { id: 'masoor-dal', name: 'Organic Masoor Dal', price: 120.00, imageUrl: 'images/product-masoor-dal.png', weight: '500g', category: 'organic-healthy', offerPrice: 110.00 },
-    { id: 'paneer-gravy', name: 'MTR Paneer Butter Masala Mix', price: 70.00, imageUrl: 'images/product-paneer-mix.png', weight: '80g', category: 'instant-food-mixes', offerPrice: 65.00 },
-    { id: 'cookies-darkfantasy', name: 'Sunfeast Dark Fantasy Cookies', price: 60.00, imageUrl: 'images/product-darkfantasy.png', weight: '75g', category: 'sweet-craving', offerPrice: 55.00 },
-    { id: 'chopsticks', name: 'Reusable Bamboo Chopsticks', price: 80.00, imageUrl: 'images/product-chopsticks.png', weight: '1 pair', category: 'kitchen-accessories', offerPrice: 70.00 },
-    { id: 'christmas-cake', name: 'Special Plum Cake', price: 350.00, imageUrl: 'images/product-christmas-cake.png', weight: '250g', category: 'seasonal-specials', offerPrice: 300.00 },
-    { id: 'icecubetray', name: 'Silicone Ice Cube Tray', price: 150.00, imageUrl: 'images/product-icecubetray.png', weight: '1 pc', category: 'kitchen-accessories', offerPrice: 130.00 },
-    { id: 'frozen-peas', name: 'Safal Frozen Green Peas', price: 80.00, imageUrl: 'images/product-frozen-peas.png', weight: '500g', category: 'frozen-items', offerPrice: 75.00 },
-    { id: 'readytoeat-dalmakhani', name: 'Haldiram\'s Dal Makhani Ready to Eat', price: 110.00, imageUrl: 'images/product-dalmakhani.png', weight: '300g', category: 'instant-food-mixes', offerPrice: 100.00 },
-    { id: 'gourmet-cheese', name: 'Borges Parmesan Cheese', price: 450.00, imageUrl: 'images/product-gourmet-cheese.png', weight: '150g', category: 'gourmet-world-food', offerPrice: 400.00 },
-    { id: 'organic-quinoa', name: 'Truefarm Organic Quinoa', price: 380.00, imageUrl: 'images/product-organic-quinoa.png', weight: '500g', category: 'organic-healthy', offer offerPrice: 350.00 },
-    { id: 'air-freshener', name: 'Godrej Aer Air Freshener', price: 150.00, imageUrl: 'images/product-air-freshener.png', weight: '240ml', category: 'household-cleaning', offerPrice: 130.00 },
-    { id: 'baby-wipes', name: 'Mamaearth Baby Wipes', price: 199.00, imageUrl: 'images/product-baby-wipes.png', weight: '72 pcs', category: 'baby-care', offerPrice: 180.00 },
-    { id: 'pet-shampoo', name: 'Himalaya Erina EP Shampoo for Pets', price: 220.00, imageUrl: 'images/product-pet-shampoo.png', weight: '200ml', category: 'pet-care', offerPrice: 200.00 },
-    { id: 'fish-salmon', name: 'Fresh Salmon Fillet', price: 600.00, imageUrl: 'images/product-salmon.png', weight: '250g', category: 'eggs-meat-fish', offerPrice: 550.00 },
-    { id: 'samosa-frozen', name: 'Mccain Potato Cheese Shotz', price: 180.00, imageUrl: 'images/product-frozen-samosa.png', weight: '400g', category: 'frozen-items', offerPrice: 160.00 },
-    { id: 'soup-manchow', name: 'Chef\'s Basket Manchow Soup', price: 80.00, imageUrl: 'images/product-manchow-soup.png', weight: '60g', category: 'instant-food-mixes', offerPrice: 70.00 },
-    { id: 'cupcake-vanilla', name: 'Vanilla Cupcakes (Pack of 2)', price: 90.00, imageUrl: 'images/product-cupcakes.png', weight: '2 pcs', category: 'bakery-desserts', offerPrice: 80.00 },
-    { id: 'kitchen-sponge', name: 'Scotch-Brite Scrub Pad', price: 40.00, imageUrl: 'images/product-scrub-pad.png', weight: '1 pc', category: 'kitchen-accessories', offerPrice: 35.00 },
-    { id: 'holi-colors', name: 'Holi Gulal Pack', price: 100.00, imageUrl: 'images/product-holi-colors.png', weight: '500g', category: 'seasonal-specials', offerPrice: 80.00 },
-    { id: 'valentines-choco', name: 'Assorted Chocolate Box', price: 250.00, imageUrl: 'images/product-valentines-choco.png', weight: '100g', category: 'seasonal-specials', offerPrice: 220.00 },
-    { id: 'mangoes-seasonal', name: 'Alphonso Mangoes', price: 300.00, imageUrl: 'images/product-mangoes.png', weight: '1 kg', category: 'seasonal-specials', offerPrice: 280.00 },
-    { id: 'rice-basmati-premium', name: 'India Gate Basmati Rice Premium', price: 800.00, imageUrl: 'images/product-india-gate-rice.png', weight: '5 kg', category: 'atta-rice-dal', offerPrice: 750.00 },
-    { id: 'oats-quaker', name: 'Quaker Oats', price: 180.00, imageUrl: 'images/product-oats.png', weight: '1 kg', category: 'breakfast-cereals', offerPrice: 160.00 },
-    { id: 'namkeen-haldirams', name: 'Haldiram\'s Aloo Bhujia', price: 60.00, imageUrl: 'images/product-haldirams-namkeen.png', weight: '150g', category: 'snacks-biscuits', offerPrice: 55.00 },
-    { id: 'ketchup-maggi', name: 'Maggi Tomato Ketchup', price: 100.00, imageUrl: 'images/product-ketchup.png', weight: '500g', category: 'gourmet-world-food', offerPrice: 90.00 },
-    { id: 'oliveoil-pompeian', name: 'Pompeian Olive Oil', price: 500.00, imageUrl: 'images/product-olive-oil.png', weight: '500ml', category: 'gourmet-world-food', offerPrice: 470.00 },
-    { id: 'face-wash', name: 'Himalaya Purifying Neem Face Wash', price: 150.00, imageUrl: 'images/product-face-wash.png', weight: '150ml', category: 'personal-care', offerPrice: 135.00 },
-    { id: 'toilet-paper', name: 'Origami Toilet Paper Roll', price: 50.00, imageUrl: 'images/product-toilet-paper.png', weight: '1 pc', category: 'household-cleaning', offerPrice: 45.00 },
-    { id: 'baby-powder', name: 'Pigeon Baby Powder', price: 180.00, imageUrl: 'images/product-baby-powder.png', weight: '100g', category: 'baby-care', offerPrice: 160.00 },
-    { id: 'dog-bone', name: 'Gnawlers Calcium Milk Bone for Dogs', price: 100.00, imageUrl: 'images/product-dog-bone.png', weight: '100g', category: 'pet-care', offerPrice: 90.00 },
-    { id: 'fish-prawns', name: 'Fresh Prawns', price: 400.00, imageUrl: 'images/product-prawns.png', weight: '250g', category: 'eggs-meat-fish', offerPrice: 380.00 },
-    { id: 'frozen-pizza', name: 'Farm Rich Mozzarella Sticks', price: 250.00, imageUrl: 'images/product-frozen-pizza.png', weight: '300g', category: 'frozen-items', offerPrice: 230.00 },
-    { id: 'soup-creamy', name: 'Knorr Cream of Mushroom Soup', price: 70.00, imageUrl: 'images/product-mushroom-soup.png', weight: '50g', category: 'instant-food-mixes', offerPrice: 65.00 },
-    { id: 'cupcakes-chocolate', name: 'Chocolate Cupcakes (Pack of 2)', price: 90.00, imageUrl: 'images/product-cupcakes-choco.png', weight: '2 pcs', category: 'bakery-desserts', offerPrice: 80.00 },
-    { id: 'spoon-set', name: 'Stainless Steel Spoon Set', price: 200.00, imageUrl: 'images/product-spoon-set.png', weight: '6 pcs', category: 'kitchen-accessories', offerPrice: 180.00 },
-    { id: 'rakhi-set', name: 'Designer Rakhi Set', price: 150.00, imageUrl: 'images/product-rakhi.png', weight: '1 pc', category: 'seasonal-specials', offerPrice: 130.00 },
-    { id: 'dryfruits-cashew', name: 'Roasted Cashew Nuts', price: 600.00, imageUrl: 'images/product-cashew.png', weight: '200g', category: 'organic-healthy', offerPrice: 550.00 },
-    { id: 'cleaner-floor', name: 'Lizol Disinfectant Floor Cleaner', price: 200.00, imageUrl: 'images/product-lizol.png', weight: '1 Litre', category: 'household-cleaning', offerPrice: 180.00 },
-    { id: 'baby-shampoo', name: 'Chicco Baby Moments Shampoo', price: 280.00, imageUrl: 'images/product-chicco-shampoo.png', weight: '200ml', category: 'baby-care', offerPrice: 250.00 },
-    { id: 'fish-pomfret', name: 'Fresh Pomfret Fish', price: 500.00, imageUrl: 'images/product-pomfret.png', weight: '500g', category: 'eggs-meat-fish', offerPrice: 470.00 },
-    { id: 'frozen-frenchfries', name: 'McCain French Fries', price: 150.00, imageUrl: 'images/product-french-fries.png', weight: '400g', category: 'frozen-items', offerPrice: 135.00 },
-    { id: 'sauce-soya', name: 'Ching\'s Secret Soya Sauce', price: 80.00, imageUrl: 'images/product-soya-sauce.png', weight: '200g', category: 'gourmet-world-food', offerPrice: 70.00 },
-    { id: 'herbal-tea', name: 'Organic India Tulsi Green Tea', price: 160.00, imageUrl: 'images/product-herbal-tea.png', weight: '25 bags', category: 'organic-healthy', offerPrice: 145.00 },
-    { id: 'brush-toilet', name: 'Toilet Cleaning Brush', price: 80.00, imageUrl: 'images/product-toilet-brush.png', weight: '1 pc', category: 'household-cleaning', offerPrice: 70.00 },
-    { id: 'baby-oil', name: 'Himalaya Baby Massage Oil', price: 180.00, imageUrl: 'images/product-baby-oil.png', weight: '100ml', category: 'baby-care', offerPrice: 160.00 },
-    { id: 'dog-food-wet', name: 'Chappi Wet Dog Food', price: 80.00, imageUrl: 'images/product-chappi-wet.png', weight: '400g', category: 'pet-care', offerPrice: 70.00 },
-    { id: 'fish-curry-mix', name: 'Everest Fish Curry Mix', price: 50.00, imageUrl: 'images/product-fish-curry-mix.png', weight: '20g', category: 'instant-food-mixes', offerPrice: 45.00 },
-    { id: 'cake-birthday', name: 'Chocolate Birthday Cake (Small)', price: 400.00, imageUrl: 'images/product-birthday-cake.png', weight: '500g', category: 'bakery-desserts', offerPrice: 380.00 },
-    { id: 'utensil-set', name: 'Prestige Aluminium Pressure Cooker', price: 2500.00, imageUrl: 'images/product-pressure-cooker.png', weight: '3 Litre', category: 'kitchen-accessories', offerPrice: 2300.00 },
-    { id: 'christmas-decor', name: 'Christmas Tree Decorations Set', price: 300.00, imageUrl: 'images/product-christmas-decor.png', weight: '1 set', category: 'seasonal-specials', offerPrice: 250.00 },
-    { id: 'dryfruits-fig', name: 'Nutty Gritties Dried Figs', price: 400.00, imageUrl: 'images/product-dried-figs.png', weight: '200g', category: 'organic-healthy', offerPrice: 370.00 },
-    { id: 'cleaner-glass', name: 'Colin Glass Cleaner', price: 90.00, imageUrl: 'images/product-colin.png', weight: '500ml', category: 'household-cleaning', offerPrice: 80.00 },
-    { id: 'baby-soap', name: 'Mamaearth Moisturizing Baby Soap', price: 120.00, imageUrl: 'images/product-baby-soap.png', weight: '75g', category: 'baby-care', offerPrice: 110.00 },
-    { id: 'dog-treats', name: 'Royal Canin Dog Treats', price: 250.00, imageUrl: 'images/product-dog-treats.png', weight: '100g', category: 'pet-care', offerPrice: 230.00 },
-    { id: 'fish-bhetki', name: 'Fresh Bhetki Fillet', price: 550.00, imageUrl: 'images/product-bhetki.png', weight: '250g', category: 'eggs-meat-fish', offerPrice: 500.00 },
-    { id: 'frozen-corn', name: 'Safal Sweet Corn Frozen', price: 70.00, imageUrl: 'images/product-frozen-corn.png', weight: '400g', category: 'frozen-items', offerPrice: 65.00 },
-    { id: 'sauce-chilli', name: 'Kissan Fresh Tomato Ketchup Spicy', price: 110.00, imageUrl: 'images/product-chilli-sauce.png', weight: '500g', category: 'gourmet-world-food', offerPrice: 100.00 },
-    { id: 'organic-honey', name: 'Saffola ImmuniVeda Golden Kwath', price: 180.00, imageUrl: 'images/product-organic-honey.png', weight: '250g', category: 'organic-healthy', offerPrice: 160.00 },
-    { id: 'brush-dish', name: 'Dish Washing Brush', price: 60.00, imageUrl: 'images/product-dish-brush.png', weight: '1 pc', category: 'household-cleaning', offerPrice: 55.00 },
-    { id: 'baby-powder-jnj', name: 'Johnson\'s Baby Powder', price: 150.00, imageUrl: 'images/product-jnj-baby-powder.png', weight: '100g', category: 'baby-care', offerPrice: 135.00 },
-    { id: 'dog-leash', name: 'Dog Leash Medium Size', price: 300.00, imageUrl: 'images/product-dog-leash.png', weight: '1 pc', category: 'pet-care', offerPrice: 270.00 },
-    { id: 'frozen-chicken-salami', name: 'Godrej Yummiez Chicken Salami', price: 200.00, imageUrl: 'images/product-frozen-salami.png', weight: '200g', category: 'frozen-items', offerPrice: 180.00 },
-    { id: 'spice-box', name: 'Wooden Spice Box', price: 450.00, imageUrl: 'images/product-spice-box.png', weight: '1 pc', category: 'kitchen-accessories', offerPrice: 400.00 },
-    { id: 'newyear-sweets', name: 'Assorted Sweets Box', price: 400.00, imageUrl: 'images/product-newyear-sweets.png', weight: '500g', category: 'seasonal-specials', offerPrice: 350.00 },
-    { id: 'organic-ghee', name: 'Aashirvaad Svasti Organic Ghee', price: 600.00, imageUrl: 'images/product-organic-ghee.png', weight: '500ml', category: 'organic-healthy', offerPrice: 550.00 },
-    { id: 'cleaner-bathroom', name: 'Domex Disinfectant Floor Cleaner', price: 150.00, imageUrl: 'images/product-domex.png', weight: '1 Litre', category: 'household-cleaning', offerPrice: 130.00 },
-    { id: 'baby-diaper-rash', name: 'Himalaya Diaper Rash Cream', price: 90.00, imageUrl: 'images/product-diaper-rash-cream.png', weight: '50g', category: 'baby-care', offerPrice: 80.00 },
-    { id: 'dog-collar', name: 'Dog Collar Adjustable', price: 180.00, imageUrl: 'images/product-dog-collar.png', weight: '1 pc', category: 'pet-care', offerPrice: 160.00 },
-    { id: 'frozen-veg-mix', name: 'ITC Master Chef Mixed Veggies', price: 90.00, imageUrl: 'images/product-mixed-veg.png', weight: '400g', category: 'frozen-items', offerPrice: 80.00 },
-    { id: 'cookie-cutter', name: 'Cookie Cutter Set', price: 120.00, imageUrl: 'images/product-cookie-cutter.png', weight: '5 pcs', category: 'kitchen-accessories', offerPrice: 100.00 },
-    { id: 'holi-pichkari', name: 'Water Gun Pichkari', price: 200.00, imageUrl: 'images/product-pichkari.png', weight: '1 pc', category: 'seasonal-specials', offerPrice: 180.00 },
-    { id: 'organic-dates', name: 'Lion Dates (Organic)', price: 250.00, imageUrl: 'images/product-organic-dates.png', weight: '250g', category: 'organic-healthy', offerPrice: 220.00 },
-    { id: 'cleaning-cloth', name: 'Microfiber Cleaning Cloths', price: 80.00, imageUrl: 'images/product-cleaning-cloth.png', weight: '3 pcs', category: 'household-cleaning', offerPrice: 70.00 },
-    { id: 'baby-laundry', name: 'Farlin Baby Laundry Detergent', price: 300.00, imageUrl: 'images/product-baby-laundry.png', weight: '1 Litre', category: 'baby-care', offerPrice: 270.00 },
-    { id: 'cat-toys', name: 'Catnip Filled Cat Toys', price: 150.00, imageUrl: 'images/product-cat-toys.png', weight: '3 pcs', category: 'pet-care', offerPrice: 130.00 },
-    { id: 'frozen-meatballs', name: 'Yummiez Chicken Meatballs', price: 220.00, imageUrl: 'images/product-frozen-meatballs.png', weight: '250g', category: 'frozen-items', offerPrice: 200.00 },
-    { id: 'kitchen-scale', name: 'Digital Kitchen Weighing Scale', price: 600.00, imageUrl: 'images/product-kitchen-scale.png', weight: '1 pc', category: 'kitchen-accessories', offerPrice: 550.00 },
-    { id: 'rakshabandhan-gifts', name: 'Rakhi & Sweets Combo', price: 450.00, imageUrl: 'images/product-rakhi-combo.png', weight: '1 combo', category: 'seasonal-specials', offerPrice: 400.00 },
-    { id: 'organic-flour', name: 'Organic Wheat Flour', price: 100.00, imageUrl: 'images/product-organic-flour.png', weight: '1 kg', category: 'organic-healthy', offerPrice: 90.00 },
-    { id: 'dish-soap-gel', name: 'Vim Liquid Dishwash Gel', price: 180.00, imageUrl: 'images/product-vim-liquid.png', weight: '500ml', category: 'household-cleaning', offerPrice: 160.00 },
-    { id: 'baby-lotion-himalaya', name: 'Himalaya Baby Lotion', price: 130.00, imageUrl: 'images/product-himalaya-lotion.png', weight: '100ml', category: 'baby-care', offerPrice: 120.00 },
-    { id: 'pet-bowls', name: 'Stainless Steel Pet Bowls', price: 250.00, imageUrl: 'images/product-pet-bowls.png', weight: '2 pcs', category: 'pet-care', offerPrice: 220.00 },
-    { id: 'frozen-paratha', name: 'Haldiram\'s Aloo Paratha Frozen', price: 120.00, imageUrl: 'images/product-frozen-paratha.png', weight: '400g', category: 'frozen-items', offerPrice: 100.00 },
-    { id: 'kitchen-apron', name: 'Cotton Kitchen Apron', price: 150.00, imageUrl: 'images/product-apron.png', weight: '1 pc', category: 'kitchen-accessories', offerPrice: 130.00 },
-    { id: 'diwali-gifts', name: 'Diwali Dry Fruit Gift Pack', price: 500.00, imageUrl: 'images/product-diwali-gifts.png', weight: '250g', category: 'seasonal-specials', offerPrice: 450.00 },
-    { id: 'organic-rice', name: 'Organic Basmati Rice', price: 200.00, imageUrl: 'images/product-organic-rice.png', weight: '1 kg', category: 'organic-healthy', offerPrice: 180.00 },
-    { id: 'brush-laundry', name: 'Laundry Brush', price: 50.00, imageUrl: 'images/product-laundry-brush.png', weight: '1 pc', category: 'household-cleaning', offerPrice: 45.00 },
-    { id: 'baby-oil-jnj', name: 'Johnson\'s Baby Oil', price: 180.00, imageUrl: 'images/product-jnj-baby-oil.png', weight: '100ml', category: 'baby-care', offerPrice: 160.00 },
-    { id: 'pet-bed', name: 'Soft Pet Bed', price: 800.00, imageUrl: 'images/product-pet-bed.png', weight: '1 pc', category: 'pet-care', offerPrice: 750.00 },
-    { id: 'frozen-chicken-nuggets', name: 'McCain Chicken Nuggets', price: 250.00, imageUrl: 'images/product-frozen-nuggets.png', weight: '300g', category: 'frozen-items', offerPrice: 230.00 },
-    { id: 'cookware-set', name: 'Non-Stick Cookware Set', price: 3500.00, imageUrl: 'images/product-cookware-set.png', weight: '3 pcs', category: 'kitchen-accessories', offerPrice: 3200.00 },
-    { id: 'festive-sweets', name: 'Kaju Katli Box', price: 600.00, imageUrl: 'images/product-kaju-katli.png', weight: '250g', category: 'seasonal-specials', offerPrice: 550.00 },
-    { id: 'organic-spices', name: 'Organic Turmeric Powder', price: 80.00, imageUrl: 'images/product-organic-turmeric.png', weight: '100g', category: 'organic-healthy', offerPrice: 70.00 }
-];
-
+// --- Authentication ---
+/**
+ * Auth backends store accounts and sessions. A backend has a name and these methods,
+ * each returning a Promise that rejects with an Error whose message can be shown to the customer:
+ *   requestCode({ purpose, target })                      -> { expiresAt, resendAt }
+ *   register({ name, email, phone, password, phoneCode }) -> { user, token, expiresAt }
+ *   login({ email, password, remember })                  -> { user, token, expiresAt }
+ *   resetPassword({ email, code, password })              -> void
+ *   updateProfile(token, { name, email, phone, phoneCode }) -> user (phoneCode is only needed when the phone changes)
+ *   getSession(token)                                     -> user, or null if the session is invalid/expired
+ *   logout(token)                                         -> void
+ * user: { name, email, phone }. expiresAt/resendAt are ISO date strings.
+ * requestCode sends a one-time code: purpose 'verify-phone' texts the phone number given as target
+ * (required by register), 'reset-password' emails the account (required by resetPassword).
+ *
+ * The localStorage backend keeps everything in this browser and is meant for demos.
+ * createFetchAuthBackend() talks to a real API (mock-server.js implements a local stub).
+ * Set <meta name="mmp-auth-endpoint"> to choose the fetch backend.
+ */
+const AUTH_PASSWORD_ITERATIONS = 100000; // PBKDF2-SHA-256 iterations
+const AUTH_PASSWORD_MIN_LENGTH = 8; // Checked on login, registration and password reset
+const AUTH_SESSION_TTL_MS = 12 * 60 * 60 * 1000; // Browser-session logins
+const AUTH_REMEMBER_TTL_MS = 30 * 24 * 60 * 60 * 1000; // "Remember Me" logins
+const AUTH_SESSION_KEY = 'motherMilkPalaceSession';
+const AUTH_BROWSER_SESSION_COOKIE = 'motherMilkPalaceBrowserSession';
 
-// --- DOM Element Selection ---
-const header = document.querySelector('.main-header');
-const mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
-const mobileSidebar = document.querySelector('.mobile-navigation-sidebar');
-const closeSidebarBtn = document.querySelector('.close-sidebar');
-const desktopDropdownToggles = document.querySelectorAll('.main-navigation .dropdown-toggle');
-const sidebarDropdownToggles = document.querySelectorAll('.sidebar-dropdown-toggle');
-const searchInput = document.getElementById('main-search-input');
-const searchSuggestions = document.querySelector('.search-suggestions');
-const cartIconBtn = document.querySelector('.btn-cart');
-const cartDropdown = document.querySelector('.cart-dropdown');
-const cartCountElements = document.querySelectorAll('.cart-count, .cart-count-dropdown');
-const cartItemsList = document.querySelector('.cart-items-list');
-const cartSubtotalSpan = document.querySelector('.cart-subtotal');
-const cartTotalSpan = document.querySelector('.cart-total');
-const clearCartBtn = document.querySelector('.clear-cart-btn');
-const emptyCartMessage = document.querySelector('.empty-cart-message');
-const loginModalOverlay = document.querySelector('.login-modal-overlay');
-const registerModalOverlay = document.querySelector('.register-modal-overlay');
-const closeModals = document.querySelectorAll('.modal .close-modal');
-const btnLogin = document.querySelector('.btn-login');
-const btnSidebarLogin = document.querySelector('.btn-sidebar-login');
-const switchToRegisterLink = document.querySelector('.switch-to-register');
-const switchToLoginLink = document.querySelector('.switch-to-login');
-const loginForm = document.querySelector('.login-form');
-const registerForm = document.querySelector('.register-form');
-const navLinks = document.querySelectorAll('.nav-link, .sidebar-nav-link');
-const shopNowHeroBtn = document.querySelector('.hero-section .shop-now-btn');
-const exploreCategoriesHeroBtn = document.querySelector('.hero-section .explore-categories-btn');
-const shopPromoBtns = document.querySelectorAll('.shop-promo-btn');
-const featuredProductsSection = document.querySelector('.featured-products-section');
+// Saved session format (see readStoredRecord). browserSessionId ties a login without "Remember Me"
+// to the browser session it was made in (see getBrowserSessionId).
+const authSessionSchema = {
+    key: AUTH_SESSION_KEY,
+    version: 1,
+    migrations: {},
+    validate: session => (Boolean(session) && typeof session.token === 'string' && session.token !== ''
+        && typeof session.expiresAt === 'string' && !Number.isNaN(new Date(session.expiresAt).getTime())
+        && Boolean(session.user) && typeof session.user.email === 'string' && typeof session.user.name === 'string'
+        && typeof session.remember === 'boolean'
+        && (session.browserSessionId === null || typeof session.browserSessionId === 'string')
+        ? session : null)
+};
 
+/**
+ * Converts bytes to a hex string.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+function bytesToHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
 
-// --- Event Listeners ---
+/**
+ * Returns a random hex string, e.g. for salts and session tokens.
+ * @param {number} byteLength
+ * @returns {string}
+ */
+function createRandomHex(byteLength) {
+    return bytesToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
 
-document.addEventListener('DOMContentLoaded', () => {
-    loadCartFromLocalStorage();
-    loadLoginStateFromLocalStorage();
-    initializeCarousels();
-    updateLoginUI(); // Call again after loading all states
-    renderFeaturedProducts(); // Render initial products on load
-});
+/**
+ * Hashes a password with a salt using PBKDF2 (Web Crypto).
+ * @param {string} password
+ * @param {string} salt - Hex salt.
+ * @returns {Promise<string>} Hex hash.
+ */
+async function hashPassword(password, salt) {
+    if (!window.crypto || !crypto.subtle) {
+        throw new Error('Secure login is not supported in this browser. Please use HTTPS or a newer browser.');
+    }
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: encoder.encode(salt), iterations: AUTH_PASSWORD_ITERATIONS, hash: 'SHA-256' },
+        key,
+        256
+    );
+    return bytesToHex(bits);
+}
 
-// Header Sticky and Shadow on Scroll
-window.addEventListener('scroll', () => {
-    if (window.scrollY > 0) {
-        header.classList.add('sticky-header');
-    } else {
-        header.classList.remove('sticky-header');
+/**
+ * Compares two strings without returning early on the first difference.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function constantTimeEquals(a, b) {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
     }
-});
+    return difference === 0;
+}
 
-// Mobile Menu Toggle
-mobileMenuToggle.addEventListener('click', () => {
-    mobileSidebar.classList.add('active');
-    document.body.classList.add('no-scroll'); // Prevent scrolling body
-});
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
 
-closeSidebarBtn.addEventListener('click', () => {
-    mobileSidebar.classList.remove('active');
-    document.body.classList.remove('no-scroll');
-});
+const VERIFICATION_CODE_LENGTH = 6;
+const VERIFICATION_CODE_TTL_MS = 10 * 60 * 1000;
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+const VERIFICATION_MAX_SENDS_PER_HOUR = 5;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_CODES_KEY = 'motherMilkPalaceVerificationCodes';
 
-// Close sidebar when clicking outside (overlay effect)
-mobileSidebar.addEventListener('click', (e) => {
-    if (e.target === mobileSidebar) {
-        mobileSidebar.classList.remove('active');
-        document.body.classList.remove('no-scroll');
+/**
+ * Code delivery adapters send one-time codes. An adapter has a name and a
+ * send(message) method returning a Promise that rejects with a customer-facing Error.
+ * message: { channel: 'sms'|'email', to, code, purpose: 'verify-phone'|'reset-password' }
+ *
+ * The console stub logs the code instead of sending it, so the flows can be tried locally.
+ */
+const consoleCodeDeliveryAdapter = {
+    name: 'console-stub',
+    send({ channel, to, code, purpose }) {
+        console.info(`[${this.name}] ${purpose} code for ${to} via ${channel}: ${code}`);
+        return Promise.resolve();
     }
-});
-
-// Desktop Categories Dropdown Toggle (CSS handles :hover, but JS for potential click toggle)
-desktopDropdownToggles.forEach(toggle => {
-    toggle.addEventListener('click', (e) => {
-        // Prevent default link behavior for dropdown toggle
-        e.preventDefault();
-        // Optionally, add JS to toggle visibility on click if CSS :hover is not enough or for accessibility
-        const dropdownMenu = toggle.nextElementSibling;
-        if (dropdownMenu && dropdownMenu.classList.contains('dropdown-menu')) {
-            dropdownMenu.classList.toggle('active'); // Add/remove active class for JS control
-        }
-    });
-});
-
-// Sidebar Dropdown Toggle for Categories
-sidebarDropdownToggles.forEach(toggle => {
-    toggle.addEventListener('click', (e) => {
-        e.preventDefault();
-        const parentLi = toggle.closest('li');
-        const dropdownMenu = parentLi.querySelector('.sidebar-dropdown-menu');
-        parentLi.classList.toggle('active');
-        if (dropdownMenu) {
-            dropdownMenu.style.maxHeight = parentLi.classList.contains('active') ? `${dropdownMenu.scrollHeight}px` : '0';
-        }
-    });
-});
+};
 
+let codeDeliveryAdapter = consoleCodeDeliveryAdapter;
 
-// Search Bar Functionality
-let searchTimeout;
-searchInput.addEventListener('input', (e) => {
-    clearTimeout(searchTimeout);
-    const query = e.target.value.toLowerCase();
-    
-    if (query.length > 2) {
-        searchTimeout = setTimeout(() => {
-            filterSearchSuggestions(query);
-            searchSuggestions.classList.add('active');
-        }, 300); // Debounce search input
-    } else {
-        searchSuggestions.innerHTML = '';
-        searchSuggestions.classList.remove('active');
+/**
+ * Replaces the adapter used to deliver verification codes (e.g. an SMS/email provider).
+ * @param {{ name: string, send: Function }} adapter
+ */
+function setCodeDeliveryAdapter(adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+        throw new Error('A code delivery adapter must implement send(message).');
     }
-});
+    codeDeliveryAdapter = adapter;
+}
 
-searchInput.addEventListener('focus', () => {
-    if (searchInput.value.length > 2) {
-        searchSuggestions.classList.add('active');
-    }
-});
+/**
+ * Creates and delivers a one-time code, enforcing the resend cooldown and hourly limit.
+ * Used by the localStorage auth backend; a server backend does this on its side.
+ * @param {'verify-phone'|'reset-password'} purpose
+ * @param {string} target - Phone number or email the code is sent to.
+ * @returns {Promise<{ expiresAt: string, resendAt: string }>}
+ */
+async function issueVerificationCode(purpose, target) {
+    const codes = localStorageAuthBackend.readStore(VERIFICATION_CODES_KEY);
+    const entryKey = `${purpose}:${target}`;
+    const now = Date.now();
+    const sends = ((codes[entryKey] && codes[entryKey].sends) || []).filter(sentAt => now - sentAt < 60 * 60 * 1000);
 
-// Hide search suggestions when clicking outside
-document.addEventListener('click', (e) => {
-    if (!searchInput.contains(e.target) && !searchSuggestions.contains(e.target)) {
-        searchSuggestions.classList.remove('active');
+    const lastSentAt = sends[sends.length - 1];
+    if (lastSentAt && now - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+        const seconds = Math.ceil((lastSentAt + VERIFICATION_RESEND_COOLDOWN_MS - now) / 1000);
+        throw new Error(`Please wait ${seconds} seconds before requesting another code.`);
     }
-});
-
-searchSuggestions.addEventListener('click', (e) => {
-    if (e.target.tagName === 'LI') {
-        searchInput.value = e.target.textContent;
-        searchSuggestions.classList.remove('active');
-        // Optionally, navigate to a search results page or filter products
-        showToast(`Searching for: ${searchInput.value}`, 'info');
+    if (sends.length >= VERIFICATION_MAX_SENDS_PER_HOUR) {
+        throw new Error('Too many codes requested. Please try again in an hour.');
     }
-});
 
-document.getElementById('main-search-button').addEventListener('click', () => {
-    const query = searchInput.value.trim();
-    if (query) {
-        showToast(`Initiating search for "${query}"`, 'info');
-        // Implement actual search redirect or results display here
-    }
-});
+    const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 10 ** VERIFICATION_CODE_LENGTH)
+        .padStart(VERIFICATION_CODE_LENGTH, '0');
+    const salt = createRandomHex(16);
+    const expiresAt = new Date(now + VERIFICATION_CODE_TTL_MS).toISOString();
+    codes[entryKey] = { salt, codeHash: await hashPassword(code, salt), expiresAt, attempts: 0, sends: [...sends, now] };
+    localStorageAuthBackend.writeStore(VERIFICATION_CODES_KEY, codes);
 
+    await codeDeliveryAdapter.send({ channel: purpose === 'verify-phone' ? 'sms' : 'email', to: target, code, purpose });
+    return { expiresAt, resendAt: new Date(now + VERIFICATION_RESEND_COOLDOWN_MS).toISOString() };
+}
 
-// Cart Icon Click (Toggle Cart Dropdown)
-cartIconBtn.addEventListener('click', (e) => {
-    e.stopPropagation(); // Prevent document click from immediately closing
-    cartDropdown.classList.toggle('active');
-    if (cartDropdown.classList.contains('active')) {
-        updateCartUI(); // Ensure cart is up-to-date when opened
-    }
-});
+/**
+ * Checks a one-time code and uses it up. Wrong guesses count towards VERIFICATION_MAX_ATTEMPTS.
+ * @param {'verify-phone'|'reset-password'} purpose
+ * @param {string} target
+ * @param {string} code
+ * @returns {Promise<void>} Rejects with a customer-facing Error if the code can't be used.
+ */
+async function consumeVerificationCode(purpose, target, code) {
+    const codes = localStorageAuthBackend.readStore(VERIFICATION_CODES_KEY);
+    const entry = codes[`${purpose}:${target}`];
 
-// Close cart dropdown when clicking outside
-document.addEventListener('click', (e) => {
-    if (!cartDropdown.contains(e.target) && !cartIconBtn.contains(e.target)) {
-        cartDropdown.classList.remove('active');
+    if (!entry || !entry.codeHash || new Date(entry.expiresAt).getTime() <= Date.now()) {
+        throw new Error('This code has expired. Please request a new one.');
     }
-});
+    if (entry.attempts >= VERIFICATION_MAX_ATTEMPTS) {
+        throw new Error('Too many incorrect attempts. Please request a new code.');
+    }
+    if (!constantTimeEquals(await hashPassword(String(code).trim(), entry.salt), entry.codeHash)) {
+        entry.attempts += 1;
+        localStorageAuthBackend.writeStore(VERIFICATION_CODES_KEY, codes);
+        const attemptsLeft = VERIFICATION_MAX_ATTEMPTS - entry.attempts;
+        throw new Error(attemptsLeft > 0
+            ? `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? '' : 's'} left.`
+            : 'Too many incorrect attempts. Please request a new code.');
+    }
+    entry.codeHash = null; // Keep the send history so the rate limit still applies
+    localStorageAuthBackend.writeStore(VERIFICATION_CODES_KEY, codes);
+}
 
-// Clear Cart Button
-clearCartBtn.addEventListener('click', () => {
-    appState.cart = [];
-    saveCartToLocalStorage();
-    showToast('Your cart has been cleared.', 'info');
-});
+const localStorageAuthBackend = {
+    name: 'local-storage',
+    accountsKey: 'motherMilkPalaceAccounts',
+    sessionsKey: 'motherMilkPalaceAuthSessions',
 
-// Handle "Add to Cart" and Quantity Controls (Event Delegation)
-document.addEventListener('click', (e) => {
-    // Add to Cart from product cards
-    if (e.target.classList.contains('btn-add-to-cart')) {
-        const productId = e.target.dataset.productId;
-        const productName = e.target.dataset.name;
-        const productPrice = parseFloat(e.target.dataset.price);
-        const productImage = e.target.dataset.image;
-
-        if (productId && productName && !isNaN(productPrice)) {
-            addToCart({
-                id: productId,
-                name: productName,
-                price: productPrice,
-                image: productImage,
-                quantity: 1
-            });
-            showToast(`${productName} added to cart!`, 'success');
-        } else {
-            showToast('Error: Product data missing.', 'error');
+    readStore(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || {};
+        } catch (error) {
+            return {};
         }
-    }
+    },
 
-    // Cart Quantity Increase
-    if (e.target.classList.contains('increase-qty')) {
-        const productId = e.target.dataset.productId;
-        updateCartItemQuantity(productId, 1);
-    }
+    writeStore(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    },
 
-    // Cart Quantity Decrease
-    if (e.target.classList.contains('decrease-qty')) {
-        const productId = e.target.dataset.productId;
-        updateCartItemQuantity(productId, -1);
-    }
+    toUser(account) {
+        return { name: account.name, email: account.email, phone: account.phone };
+    },
 
-    // Cart Item Remove
-    if (e.target.classList.contains('cart-item-remove')) {
-        const productId = e.target.dataset.productId;
-        removeCartItem(productId);
-    }
-});
+    createSession(account, remember) {
+        const sessions = this.readStore(this.sessionsKey);
+        const now = Date.now();
+        // Drop expired sessions while we're here
+        Object.keys(sessions).forEach(token => {
+            if (new Date(sessions[token].expiresAt).getTime() <= now) delete sessions[token];
+        });
+        const token = createRandomHex(32);
+        const expiresAt = new Date(now + (remember ? AUTH_REMEMBER_TTL_MS : AUTH_SESSION_TTL_MS)).toISOString();
+        sessions[token] = { email: account.email, expiresAt };
+        this.writeStore(this.sessionsKey, sessions);
+        return { user: this.toUser(account), token, expiresAt };
+    },
 
-// Login/Register Modal Functionality
-btnLogin.addEventListener('click', () => openModal(loginModalOverlay));
-btnSidebarLogin.addEventListener('click', () => {
-    mobileSidebar.classList.remove('active'); // Close sidebar first
-    document.body.classList.remove('no-scroll');
-    openModal(loginModalOverlay);
-});
+    async requestCode({ purpose, target }) {
+        if (purpose === 'reset-password') {
+            const email = normalizeEmail(target);
+            if (!this.readStore(this.accountsKey)[email]) {
+                // Answer as if a code was sent so the form can't be used to find out who has an account
+                const now = Date.now();
+                return {
+                    expiresAt: new Date(now + VERIFICATION_CODE_TTL_MS).toISOString(),
+                    resendAt: new Date(now + VERIFICATION_RESEND_COOLDOWN_MS).toISOString()
+                };
+            }
+            return issueVerificationCode(purpose, email);
+        }
+        if (purpose === 'verify-phone') return issueVerificationCode(purpose, target);
+        throw new Error(`Unknown verification purpose "${purpose}".`);
+    },
 
-closeModals.forEach(btn => {
-    btn.addEventListener('click', (e) => {
-        closeModal(e.target.closest('.modal-overlay'));
-    });
-});
+    async register({ name, email, phone, password, phoneCode }) {
+        const accounts = this.readStore(this.accountsKey);
+        const normalizedEmail = normalizeEmail(email);
+        if (accounts[normalizedEmail]) {
+            throw new Error('An account with this email already exists. Please log in instead.');
+        }
+        await consumeVerificationCode('verify-phone', phone, phoneCode);
+        const salt = createRandomHex(16);
+        const account = {
+            name,
+            email: normalizedEmail,
+            phone,
+            salt,
+            passwordHash: await hashPassword(password, salt),
+            createdAt: new Date().toISOString()
+        };
+        accounts[normalizedEmail] = account;
+        this.writeStore(this.accountsKey, accounts);
+        return this.createSession(account, false);
+    },
 
-loginModalOverlay.addEventListener('click', (e) => {
-    if (e.target === loginModalOverlay) closeModal(loginModalOverlay);
-});
-registerModalOverlay.addEventListener('click', (e) => {
-    if (e.target === registerModalOverlay) closeModal(registerModalOverlay);
-});
+    async login({ email, password, remember }) {
+        const account = this.readStore(this.accountsKey)[normalizeEmail(email)];
+        // Hash even for unknown emails so both failures take about as long
+        const passwordHash = await hashPassword(password, account ? account.salt : createRandomHex(16));
+        if (!account || !constantTimeEquals(passwordHash, account.passwordHash)) {
+            throw new Error('Invalid email or password.');
+        }
+        return this.createSession(account, remember);
+    },
 
-switchToRegisterLink.addEventListener('click', (e) => {
-    e.preventDefault();
-    closeModal(loginModalOverlay);
-    openModal(registerModalOverlay);
-});
+    async resetPassword({ email, code, password }) {
+        const normalizedEmail = normalizeEmail(email);
+        await consumeVerificationCode('reset-password', normalizedEmail, code);
+        const accounts = this.readStore(this.accountsKey);
+        const account = accounts[normalizedEmail];
+        if (!account) throw new Error('This code has expired. Please request a new one.');
 
-switchToLoginLink.addEventListener('click', (e) => {
-    e.preventDefault();
-    closeModal(registerModalOverlay);
-    openModal(loginModalOverlay);
-});
+        account.salt = createRandomHex(16);
+        account.passwordHash = await hashPassword(password, account.salt);
+        this.writeStore(this.accountsKey, accounts);
 
-loginForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const email = loginForm.querySelector('#login-email').value;
-    const password = loginForm.querySelector('#login-password').value;
+        // Sign out every device that used the old password
+        const sessions = this.readStore(this.sessionsKey);
+        Object.keys(sessions).forEach(token => {
+            if (sessions[token].email === normalizedEmail) delete sessions[token];
+        });
+        this.writeStore(this.sessionsKey, sessions);
+    },
 
-    if (!isValidEmail(email)) {
-        showToast('Please enter a valid email address.', 'error');
-        return;
-    }
-    if (password.length < 6) { // Simple validation
-        showToast('Password must be at least 6 characters.', 'error');
-        return;
-    }
+    async updateProfile(token, { name, email, phone, phoneCode }) {
+        const sessions = this.readStore(this.sessionsKey);
+        const session = sessions[token];
+        const accounts = this.readStore(this.accountsKey);
+        const account = session && new Date(session.expiresAt).getTime() > Date.now() ? accounts[session.email] : null;
+        if (!account) throw new Error('Your session has expired. Please log in again.');
 
-    // Dummy login logic
-    if (email === 'user@example.com' && password === 'password123') {
-        appState.isLoggedIn = true;
-        appState.currentUser = { email: email, name: 'Guest User' }; // Dummy user
-        saveLoginStateToLocalStorage();
-        updateLoginUI();
-        closeModal(loginModalOverlay);
-        showToast('Login successful! Welcome back!', 'success');
-    } else {
-        showToast('Invalid email or password.', 'error');
-    }
-});
+        const previousEmail = account.email;
+        const normalizedEmail = normalizeEmail(email);
+        if (normalizedEmail !== previousEmail && accounts[normalizedEmail]) {
+            throw new Error('An account with this email already exists.');
+        }
+        if (phone !== account.phone) {
+            await consumeVerificationCode('verify-phone', phone, phoneCode);
+        }
 
-registerForm.addEventListener('submit', (e) => {
-    e.preventDefault();
-    const name = registerForm.querySelector('#register-name').value;
-    const email = registerForm.querySelector('#register-email').value;
-    const phone = registerForm.querySelector('#register-phone').value;
-    const password = registerForm.querySelector('#register-password').value;
-    const confirmPassword = registerForm.querySelector('#register-confirm-password').value;
-    const acceptTerms = registerForm.querySelector('#accept-terms').checked;
+        delete accounts[previousEmail];
+        Object.assign(account, { name, email: normalizedEmail, phone });
+        accounts[normalizedEmail] = account;
+        this.writeStore(this.accountsKey, accounts);
 
-    if (!name || name.length < 3) {
-        showToast('Please enter your full name (at least 3 characters).', 'error');
-        return;
-    }
-    if (!isValidEmail(email)) {
-        showToast('Please enter a valid email address.', 'error');
-        return;
-    }
-    if (!phone || !/^\d{10}$/.test(phone)) {
-        showToast('Please enter a valid 10-digit mobile number.', 'error');
-        return;
-    }
-    if (password.length < 8) {
-        showToast('Password must be at least 8 characters long.', 'error');
-        return;
-    }
-    if (password !== confirmPassword) {
-        showToast('Passwords do not match.', 'error');
-        return;
-    }
-    if (!acceptTerms) {
-        showToast('You must accept the terms and conditions.', 'error');
-        return;
+        Object.values(sessions).forEach(storedSession => {
+            if (storedSession.email === previousEmail) storedSession.email = normalizedEmail;
+        });
+        this.writeStore(this.sessionsKey, sessions);
+        return this.toUser(account);
+    },
+
+    async getSession(token) {
+        const session = this.readStore(this.sessionsKey)[token];
+        if (!session || new Date(session.expiresAt).getTime() <= Date.now()) return null;
+        const account = this.readStore(this.accountsKey)[session.email];
+        return account ? this.toUser(account) : null;
+    },
+
+    async logout(token) {
+        const sessions = this.readStore(this.sessionsKey);
+        delete sessions[token];
+        this.writeStore(this.sessionsKey, sessions);
     }
+};
 
-    // Dummy registration logic
-    appState.isLoggedIn = true;
-    appState.currentUser = { email: email, name: name }; // Dummy user
-    saveLoginStateToLocalStorage();
-    updateLoginUI();
-    closeModal(registerModalOverlay);
-    showToast('Registration successful! Welcome to Mother Milk Palace!', 'success');
-    registerForm.reset(); // Clear form
-});
+/**
+ * Creates an auth backend for a JSON API (POST /request-code, POST /register, POST /login,
+ * POST /reset-password, PATCH /profile, GET /session, POST /logout).
+ * Errors are read from the { error } field of non-2xx responses.
+ * @param {string} baseUrl - e.g. '/api/auth'
+ * @returns {Object}
+ */
+function createFetchAuthBackend(baseUrl) {
+    async function request(path, { method = 'POST', body, token } = {}) {
+        const headers = { Accept: 'application/json' };
+        if (body) headers['Content-Type'] = 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
 
-// Smooth Scrolling for Navigation Links
-navLinks.forEach(link => {
-    link.addEventListener('click', (e) => {
-        const targetId = e.target.dataset.target;
-        if (targetId) {
-            e.preventDefault();
-            const targetSection = document.getElementById(targetId);
-            if (targetSection) {
-                targetSection.scrollIntoView({ behavior: 'smooth' });
-                // Also close mobile sidebar if open
-                mobileSidebar.classList.remove('active');
-                document.body.classList.remove('no-scroll');
-            }
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+        } catch (error) {
+            throw new Error('Could not reach the server. Please check your connection and try again.');
         }
-    });
-});
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
 
-// Hero section buttons smooth scroll
-shopNowHeroBtn.addEventListener('click', () => {
-    document.getElementById('offers-section').scrollIntoView({ behavior: 'smooth' });
-});
+    return {
+        name: 'fetch',
+        requestCode: (details) => request('/request-code', { body: details }),
+        register: (details) => request('/register', { body: details }),
+        login: (credentials) => request('/login', { body: credentials }),
+        resetPassword: (details) => request('/reset-password', { body: details }).then(() => undefined),
+        updateProfile: (token, details) => request('/profile', { method: 'PATCH', token, body: details }).then(data => data.user),
+        async getSession(token) {
+            try {
+                const data = await request('/session', { method: 'GET', token });
+                return data.user;
+            } catch (error) {
+                if (error.status === 401) return null;
+                throw error; // Network problems shouldn't log the customer out
+            }
+        },
+        logout: (token) => request('/logout', { token })
+    };
+}
 
-exploreCategoriesHeroBtn.addEventListener('click', () => {
-    document.getElementById('categories-section').scrollIntoView({ behavior: 'smooth' });
-});
+const authEndpoint = (document.querySelector('meta[name="mmp-auth-endpoint"]') || {}).content;
+let authBackend = authEndpoint ? createFetchAuthBackend(authEndpoint) : localStorageAuthBackend;
 
-// Shop Promo Buttons (dynamically filter products based on category)
-shopPromoBtns.forEach(btn => {
-    btn.addEventListener('click', (e) => {
-        const category = e.target.dataset.category;
-        if (category) {
-            // In a real app, this would redirect to a category page or filter on current page
-            showToast(`Redirecting to ${category.replace('-', ' & ').toUpperCase()} products.`, 'info');
-            document.getElementById('categories-section').scrollIntoView({ behavior: 'smooth' });
-            // Optionally, highlight the specific category in the carousel/grid
-        }
-    });
-});
+/**
+ * Replaces the auth backend (e.g. a real API or a test double).
+ * @param {{ name: string, requestCode: Function, register: Function, login: Function, resetPassword: Function, updateProfile: Function, getSession: Function, logout: Function }} backend
+ */
+function setAuthBackend(backend) {
+    const methods = ['requestCode', 'register', 'login', 'resetPassword', 'updateProfile', 'getSession', 'logout'];
+    if (!backend || methods.some(method => typeof backend[method] !== 'function')) {
+        throw new Error(`An auth backend must implement ${methods.join(', ')}.`);
+    }
+    authBackend = backend;
+}
 
+/**
+ * Returns the id of the current browser session, kept in a cookie without an expiry date: every tab
+ * shares it and the browser deletes it when it closes.
+ * @param {{ create?: boolean }} [options] - create: start a browser session if there is none.
+ * @returns {string|null} null if there is none, or cookies are turned off.
+ */
+function getBrowserSessionId({ create = false } = {}) {
+    const prefix = `${AUTH_BROWSER_SESSION_COOKIE}=`;
+    const cookie = document.cookie.split('; ').find(entry => entry.startsWith(prefix));
+    if (cookie) return cookie.slice(prefix.length);
+    if (!create) return null;
+    document.cookie = `${prefix}${createRandomHex(16)}; path=/; SameSite=Strict`;
+    return getBrowserSessionId();
+}
 
-// --- Cart Management Functions ---
+/**
+ * Saves the session in localStorage, so every tab shares the login. A login without "Remember Me"
+ * also records the browser session it was made in and ends with it (or at expiresAt, if cookies are off).
+ * @param {{ user: Object, token: string, expiresAt: string }} session
+ * @param {boolean} remember
+ */
+function storeSession(session, remember) {
+    writeStoredRecord(authSessionSchema, {
+        user: session.user,
+        token: session.token,
+        expiresAt: session.expiresAt,
+        remember,
+        browserSessionId: remember ? null : getBrowserSessionId({ create: true })
+    });
+}
 
 /**
- * Adds a product to the cart or increments its quantity if already present.
- * @param {Object} product - The product object to add.
+ * Replaces the user saved with the session (after a profile update).
+ * @param {Object} user
  */
-function addToCart(product) {
-    const existingItemIndex = appState.cart.findIndex(item => item.id === product.id);
+function updateStoredSessionUser(user) {
+    const session = readStoredSession();
+    if (!session) return;
+    storeSession({ ...session, user }, session.remember);
+    broadcastAuthChange('session', { ...session, user }, session.remember);
+}
 
-    if (existingItemIndex > -1) {
-        appState.cart[existingItemIndex].quantity++;
-    } else {
-        appState.cart.push({ ...product, quantity: 1 });
-    }
-    saveCartToLocalStorage();
+function clearStoredSession() {
+    localStorage.removeItem(AUTH_SESSION_KEY);
 }
 
 /**
- * Updates the quantity of a cart item.
- * @param {string} productId - ID of the product.
- * @param {number} change - Amount to change quantity by (+1 or -1).
+ * Returns the stored session if it hasn't expired, and (without "Remember Me") the browser hasn't
+ * been closed since it was made.
+ * @returns {{ user: Object, token: string, expiresAt: string, remember: boolean, browserSessionId: string|null }|null}
  */
-function updateCartItemQuantity(productId, change) {
-    const item = appState.cart.find(item => item.id === productId);
-    if (item) {
-        item.quantity += change;
-        if (item.quantity <= 0) {
-            removeCartItem(productId);
-        } else {
-            saveCartToLocalStorage();
-        }
-    }
+function readStoredSession() {
+    const session = readStoredRecord(authSessionSchema);
+    const isBrowserSessionOver = Boolean(session) && session.browserSessionId !== null
+        && session.browserSessionId !== getBrowserSessionId();
+    if (session && !isBrowserSessionOver && new Date(session.expiresAt).getTime() > Date.now()) return session;
+    clearStoredSession();
+    return null;
 }
 
 /**
- * Removes an item from the cart.
- * @param {string} productId - ID of the product to remove.
+ * Registers a function to run whenever the customer logs in or out, or their profile changes.
+ * @param {Function} listener - Called with the current user (null when logged out).
+ * @returns {Function} Unsubscribes the listener.
  */
-function removeCartItem(productId) {
-    appState.cart = appState.cart.filter(item => item.id !== productId);
-    saveCartToLocalStorage();
-    showToast('Item removed from cart.', 'info');
+function subscribeToLoginState(listener) {
+    return subscribe(state => [state.isLoggedIn, state.currentUser], () => listener(appState.currentUser));
 }
 
 /**
- * Renders the cart items in the dropdown and updates counts/totals.
+ * Logs the customer in or out in appState; subscribers update the UI.
+ * @param {Object|null} user
  */
-function updateCartUI() {
-    cartItemsList.innerHTML = ''; // Clear current items
-    let totalItems = 0;
-    let subtotal = 0;
-    const deliveryFee = 30.00; // Fixed delivery fee
-
-    if (appState.cart.length === 0) {
-        emptyCartMessage.style.display = 'block';
-        cartItemsList.style.display = 'none';
-        clearCartBtn.style.display = 'none';
-    } else {
-        emptyCartMessage.style.display = 'none';
-        cartItemsList.style.display = 'block';
-        clearCartBtn.style.display = 'inline-block';
+function setLoginState(user) {
+    dispatch('auth/setUser', { user });
+}
 
-        appState.cart.forEach(item => {
-            totalItems += item.quantity;
-            subtotal += item.price * item.quantity; // Use base price for calculation
+/**
+ * Logs the customer in locally after the backend created a session, and in the other open tabs.
+ * @param {{ user: Object, token: string, expiresAt: string }} session
+ * @param {boolean} remember
+ * @param {{ fromOtherTab?: boolean }} [options] - fromOtherTab: the login happened in another tab; don't announce it again.
+ */
+function startSession(session, remember, { fromOtherTab = false } = {}) {
+    storeSession(session, remember);
+    scheduleSessionExpiry(session);
+    tabSyncState.sessionToken = session.token;
+    setLoginState(session.user);
+    mergeGuestWishlist();
+    loadWishlistFromLocalStorage();
+    mergeGuestCart();
+    loadCartFromLocalStorage();
+    applyDefaultAddressCity();
+    if (!fromOtherTab) broadcastAuthChange('session', session, remember);
+}
 
-            const cartItemDiv = document.createElement('div');
-            cartItemDiv.classList.add('cart-item');
-            cartItemDiv.innerHTML = `
-                <img src="${item.image}" alt="${item.name}">
-                <div class="cart-item-details">
-                    <h4>${item.name}</h4>
-                    <p class="cart-item-price">₹${item.price.toFixed(2)}</p>
-                </div>
-                <div class="cart-item-quantity-controls">
-                    <button class="decrease-qty" data-product-id="${item.id}"><i class="fas fa-minus"></i></button>
-                    <span>${item.quantity}</span>
-                    <button class="increase-qty" data-product-id="${item.id}"><i class="fas fa-plus"></i></button>
-                </div>
-                <button class="cart-item-remove" data-product-id="${item.id}"><i class="fas fa-trash-alt"></i></button>
-            `;
-            cartItemsList.appendChild(cartItemDiv);
+/**
+ * Clears the local session and resets user-specific UI. Other open tabs log out too.
+ * @param {{ fromOtherTab?: boolean }} [options] - fromOtherTab: the logout happened in another tab; don't announce it again.
+ */
+function endSession({ fromOtherTab = false } = {}) {
+    clearTimeout(sessionExpiryTimer);
+    clearStoredSession();
+    tabSyncState.sessionToken = null;
+    checkoutState.address = null; // Don't prefill checkout with the previous customer's address
+    if (appState.isLoggedIn && CART_LOGOUT_POLICY === 'keep') {
+        writeStoredRecord(getCartSchema(null), {
+            items: appState.cart,
+            couponCode: appState.couponCode,
+            revision: createSyncRevision(tabSyncState.cartRevision)
         });
     }
+    setLoginState(null);
+    loadWishlistFromLocalStorage(); // Back to the guest wishlist
+    loadCartFromLocalStorage(); // and the guest cart
+    if (!fromOtherTab) broadcastAuthChange('logout');
+}
 
-    // Update cart counts
-    cartCountElements.forEach(element => {
-        element.textContent = totalItems;
-    });
+let sessionExpiryTimer = null;
 
-    // Update totals
-    cartSubtotalSpan.textContent = `₹${subtotal.toFixed(2)}`;
-    cartTotalSpan.textContent = `₹${(subtotal + deliveryFee).toFixed(2)}`;
+/**
+ * Logs the customer out when the session expires while the page is open.
+ * @param {{ expiresAt: string }} session
+ */
+function scheduleSessionExpiry(session) {
+    clearTimeout(sessionExpiryTimer);
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    if (remaining > 2147483647) return; // Longer than setTimeout supports; checked again on the next visit
+    sessionExpiryTimer = setTimeout(() => {
+        endSession();
+        showToast('Your session has expired. Please log in again.', 'info');
+    }, remaining);
 }
 
-// Checkout and Continue Shopping buttons in Cart
-document.querySelector('.btn-checkout').addEventListener('click', () => {
-    if (appState.cart.length > 0) {
-        showToast('Proceeding to checkout!', 'info');
-        // In a real application, redirect to checkout page
-        window.location.href = 'checkout.html'; // Example redirect
-    } else {
-        showToast('Your cart is empty. Please add items to checkout.', 'error');
+/**
+ * Checks the stored session with the auth backend and logs out if it is no longer valid.
+ */
+async function validateStoredSession() {
+    const session = readStoredSession();
+    if (!session) return;
+    try {
+        const user = await authBackend.getSession(session.token);
+        if (!user) {
+            endSession();
+            showToast('Your session has expired. Please log in again.', 'info');
+        } else if (appState.currentUser && appState.currentUser.email === user.email) {
+            setLoginState(user); // Pick up profile changes
+        }
+    } catch (error) {
+        console.warn('Could not validate the saved session:', error);
     }
-});
+}
 
-document.querySelector('.btn-continue-shopping').addEventListener('click', () => {
-    cartDropdown.classList.remove('active');
-});
+// --- Cross-Tab Sync ---
+// Open tabs share the cart through localStorage 'storage' events, and logins/logouts through a
+// BroadcastChannel (or 'storage' events where BroadcastChannel isn't available). Every change carries a
+// revision { updatedAt, tabId }. A tab only applies changes newer than its own, ordered by updatedAt and
+// then tabId, so tabs that change the cart at the same moment all settle on the same cart.
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+const AUTH_SYNC_KEY = 'motherMilkPalaceAuthSync';
+const authSyncChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel('motherMilkPalaceAuth') : null;
 
+const tabSyncState = {
+    cartRevision: null, // Revision of the cart this tab shows
+    authRevision: null, // Revision of the last login/logout this tab made or applied
+    sessionToken: null, // Token of the login this tab shows; the stored session is shared by every tab
+    isApplyingStoredCart: false
+};
 
-// --- Login/Logout UI Update ---
-function updateLoginUI() {
-    const loginButton = document.querySelector('.main-header .btn-login');
-    const sidebarLoginButton = document.querySelector('.mobile-navigation-sidebar .btn-sidebar-login');
-    const userAuthContainer = document.querySelector('.main-header .user-auth');
-
-    if (appState.isLoggedIn && appState.currentUser) {
-        // Change login button to profile/logout
-        loginButton.innerHTML = `<i class="fas fa-user-circle"></i> Hello, ${appState.currentUser.name || 'User'}`;
-        loginButton.classList.add('logged-in'); // Add class for specific styling
-        loginButton.removeEventListener('click', () => openModal(loginModalOverlay));
-        loginButton.addEventListener('click', handleUserMenuToggle); // Show user options
-
-        sidebarLoginButton.innerHTML = `<i class="fas fa-user-circle"></i> Hello, ${appState.currentUser.name || 'User'}`;
-        sidebarLoginButton.classList.add('logged-in');
-        sidebarLoginButton.removeEventListener('click', () => {
-            mobileSidebar.classList.remove('active');
-            document.body.classList.remove('no-scroll');
-            openModal(loginModalOverlay);
-        });
-        sidebarLoginButton.addEventListener('click', handleUserMenuToggle); // Still opens the main menu if needed, or a user profile view
-
-        // Create a dropdown/menu for logged-in user
-        if (!document.querySelector('.user-dropdown')) {
-            const userDropdown = document.createElement('div');
-            userDropdown.classList.add('user-dropdown');
-            userDropdown.innerHTML = `
-                <ul>
-                    <li><a href="#"><i class="fas fa-user"></i> My Profile</a></li>
-                    <li><a href="#"><i class="fas fa-shopping-bag"></i> My Orders</a></li>
-                    <li><a href="#"><i class="fas fa-heart"></i> Wishlist</a></li>
-                    <li><a href="#"><i class="fas fa-cog"></i> Settings</a></li>
-                    <li><a href="#" class="btn-logout"><i class="fas fa-sign-out-alt"></i> Logout</a></li>
-                </ul>
-            `;
-            userAuthContainer.appendChild(userDropdown);
-
-            // Add logout listener
-            userDropdown.querySelector('.btn-logout').addEventListener('click', handleLogout);
-
-            // Close user dropdown when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!userAuthContainer.contains(e.target) && userDropdown.classList.contains('active')) {
-                    userDropdown.classList.remove('active');
-                }
-            });
-        }
-    } else {
-        // Reset to default login/register state
-        loginButton.innerHTML = `<i class="fas fa-user-circle"></i> Login / Register`;
-        loginButton.classList.remove('logged-in');
-        loginButton.removeEventListener('click', handleUserMenuToggle);
-        loginButton.addEventListener('click', () => openModal(loginModalOverlay));
-
-        sidebarLoginButton.innerHTML = `<i class="fas fa-user-circle"></i> Login / Register`;
-        sidebarLoginButton.classList.remove('logged-in');
-        sidebarLoginButton.removeEventListener('click', handleUserMenuToggle);
-        sidebarLoginButton.addEventListener('click', () => {
-            mobileSidebar.classList.remove('active');
-            document.body.classList.remove('no-scroll');
-            openModal(loginModalOverlay);
-        });
+/**
+ * Returns a revision for a change made in this tab, always later than the previous one.
+ * @param {{ updatedAt: number, tabId: string }|null} previous
+ * @returns {{ updatedAt: number, tabId: string }}
+ */
+function createSyncRevision(previous) {
+    // Two changes in the same millisecond still get different revisions
+    const updatedAt = Math.max(Date.now(), previous ? previous.updatedAt + 1 : 0);
+    return { updatedAt, tabId: TAB_ID };
+}
 
-        const userDropdown = document.querySelector('.user-dropdown');
-        if (userDropdown) {
-            userDropdown.remove();
-        }
-    }
+/**
+ * Orders two revisions; a missing revision is older than any other.
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if the same.
+ */
+function compareSyncRevisions(a, b) {
+    if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+    if (a.updatedAt !== b.updatedAt) return a.updatedAt - b.updatedAt;
+    return a.tabId === b.tabId ? 0 : (a.tabId > b.tabId ? 1 : -1);
 }
 
-function handleUserMenuToggle(e) {
-    e.stopPropagation(); // Prevent clicks from bubbling and closing immediately
-    const userDropdown = document.querySelector('.user-dropdown');
-    if (userDropdown) {
-        userDropdown.classList.toggle('active');
-    }
+function isValidSyncRevision(revision) {
+    return Boolean(revision) && Number.isFinite(revision.updatedAt) && typeof revision.tabId === 'string';
 }
 
-function handleLogout(e) {
-    e.preventDefault();
-    appState.isLoggedIn = false;
-    appState.currentUser = null;
-    saveLoginStateToLocalStorage();
-    updateLoginUI();
-    showToast('You have been logged out.', 'info');
-    // Also close user dropdown if open
-    const userDropdown = document.querySelector('.user-dropdown');
-    if (userDropdown) {
-        userDropdown.classList.remove('active');
+/**
+ * Another tab saved its cart: show it if it is newer than ours. If ours is newer (both tabs saved
+ * at once and the older write landed last), write ours back so every tab ends up with it.
+ */
+function handleCartStorageChange() {
+    const savedCart = readStoredRecord(getCurrentCartSchema());
+    const order = compareSyncRevisions(savedCart && savedCart.revision, tabSyncState.cartRevision);
+    if (order > 0) {
+        loadCartFromLocalStorage();
+    } else if (order < 0) {
+        writeCartToLocalStorage();
     }
 }
 
+/**
+ * Tells the other tabs about a login, profile change or logout.
+ * @param {'session'|'logout'} type
+ * @param {{ user: Object, token: string, expiresAt: string }|null} [session]
+ * @param {boolean} [remember]
+ */
+function broadcastAuthChange(type, session = null, remember = false) {
+    tabSyncState.authRevision = createSyncRevision(tabSyncState.authRevision);
+    const message = { type, session, remember, revision: tabSyncState.authRevision };
+    if (authSyncChannel) {
+        authSyncChannel.postMessage(message);
+    } else {
+        // The other tabs read the session from storage (see storeSession); don't copy its token to another key
+        localStorage.setItem(AUTH_SYNC_KEY, JSON.stringify({ ...message, session: null }));
+    }
+}
+
+/**
+ * Applies a login, profile change or logout from another tab, unless this tab has made a newer one.
+ * Messages sent through localStorage carry no session; the stored one is read instead.
+ * @param {{ type: string, session: Object|null, remember: boolean, revision: Object }} message
+ */
+function handleAuthSyncMessage(message) {
+    if (!message || compareSyncRevisions(message.revision, tabSyncState.authRevision) <= 0) return;
+    tabSyncState.authRevision = message.revision;
+
+    if (message.type === 'logout') {
+        if (!appState.isLoggedIn) return;
+        endSession({ fromOtherTab: true });
+        showToast('You were logged out in another tab.', 'info');
+    } else if (message.type === 'session') {
+        const session = message.session || readStoredSession();
+        if (!session) return;
+        if (appState.isLoggedIn && tabSyncState.sessionToken === session.token) {
+            // Same login, e.g. the profile was edited in the other tab (which saved it already)
+            setLoginState(session.user);
+        } else {
+            startSession(session, message.remember, { fromOtherTab: true });
+        }
+    }
+}
+
+if (authSyncChannel) {
+    authSyncChannel.addEventListener('message', (e) => handleAuthSyncMessage(e.data));
+}
+
+window.addEventListener('storage', (e) => {
+    if (e.storageArea !== localStorage) return;
+    if (e.key === getCurrentCartSchema().key) {
+        handleCartStorageChange();
+    } else if (e.key === AUTH_SYNC_KEY && e.newValue) {
+        try {
+            handleAuthSyncMessage(JSON.parse(e.newValue));
+        } catch (error) {
+            console.error('Could not read login change from another tab:', error);
+        }
+    }
+});
+
+// --- Product Data (API) ---
+// The catalog is fetched from the endpoint in <meta name="mmp-products-endpoint"> (defaults to the
+// bundled data/products.json fixture). The response is { products: [...] } or a bare array of
+// { id, name, price, imageUrl, weight, category, offerPrice, stock, maxPerOrder }; stock and maxPerOrder
+// are optional (see Stock & Quantity Limits). A product sold in several sizes lists them instead as
+// variants: [{ id, size, price, offerPrice, stock, maxPerOrder, imageUrl }] (see Product Variants).
+// See mock-server.js for local development.
+const PRODUCTS_ENDPOINT = (document.querySelector('meta[name="mmp-products-endpoint"]') || {}).content || 'data/products.json';
+const PRODUCTS_CACHE_KEY = 'motherMilkPalaceProductsCache';
+const PRODUCTS_FETCH_RETRIES = 2; // Automatic retries before showing the error state
+const PRODUCTS_RETRY_DELAY_MS = 800; // Doubled after every failed attempt
+const IS_DEV_MODE = ['localhost', '127.0.0.1'].includes(window.location.hostname); // e.g. served by mock-server.js
+
+const productsState = {
+    status: 'loading', // 'loading' | 'ready' | 'error'
+    isFetching: false
+};
+
+/**
+ * Returns true if a product record from the API has the fields the storefront needs.
+ * @param {Object} product
+ * @returns {boolean}
+ */
+function isValidProductRecord(product) {
+    const hasVariants = Boolean(product) && Array.isArray(product.variants);
+    const isValid = Boolean(product) &&
+        typeof product.id === 'string' &&
+        typeof product.name === 'string' &&
+        typeof product.category === 'string' &&
+        (hasVariants
+            ? product.variants.length > 0 && product.variants.every(isValidVariantRecord)
+            : hasValidPriceAndStock(product));
+    if (!isValid) console.warn('Skipping invalid product record:', product);
+    return isValid;
+}
+
+/**
+ * Returns true if a product variant has an id, a size and valid price and stock fields.
+ * @param {Object} variant
+ * @returns {boolean}
+ */
+function isValidVariantRecord(variant) {
+    return Boolean(variant) &&
+        typeof variant.id === 'string' &&
+        typeof variant.size === 'string' &&
+        hasValidPriceAndStock(variant);
+}
+
+function hasValidPriceAndStock(record) {
+    return Number.isFinite(record.price) &&
+        (record.stock === undefined || (Number.isInteger(record.stock) && record.stock >= 0)) &&
+        (record.maxPerOrder === undefined || (Number.isInteger(record.maxPerOrder) && record.maxPerOrder > 0));
+}
+
+/**
+ * Gives a product with variants the price, size, stock and image of its first (default) variant,
+ * so listings, filters and sorting can treat every product alike.
+ * @param {Object} product - A valid product record.
+ * @returns {Object}
+ */
+function normalizeProductRecord(product) {
+    if (!product.variants) return product;
+    const [defaultVariant] = product.variants;
+    return {
+        ...product,
+        price: defaultVariant.price,
+        offerPrice: defaultVariant.offerPrice,
+        weight: defaultVariant.size,
+        stock: defaultVariant.stock,
+        maxPerOrder: defaultVariant.maxPerOrder,
+        imageUrl: defaultVariant.imageUrl || product.imageUrl
+    };
+}
+
+/**
+ * Fetches the product catalog, retrying failed requests with a growing delay.
+ * @param {number} retries
+ * @returns {Promise<Object[]>}
+ */
+async function fetchProducts(retries = PRODUCTS_FETCH_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(PRODUCTS_ENDPOINT, { headers: { Accept: 'application/json' }, cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`Products request failed with status ${response.status}`);
+            }
+            const data = await response.json();
+            const products = Array.isArray(data) ? data : data.products;
+            if (!Array.isArray(products)) {
+                throw new Error('Products response does not contain a products array');
+            }
+            return products.filter(isValidProductRecord).map(normalizeProductRecord);
+        } catch (error) {
+            if (attempt >= retries) throw error;
+            await new Promise(resolve => setTimeout(resolve, PRODUCTS_RETRY_DELAY_MS * 2 ** attempt));
+        }
+    }
+}
+
+/**
+ * Reads the products saved by the last successful fetch.
+ * @returns {Object[]|null}
+ */
+function readCachedProducts() {
+    try {
+        const cache = JSON.parse(localStorage.getItem(PRODUCTS_CACHE_KEY));
+        return cache && Array.isArray(cache.products) && cache.products.length > 0 ? cache.products : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Caches products so the next visit can render before the network responds.
+ * @param {Object[]} products
+ */
+function saveProductsToCache(products) {
+    try {
+        localStorage.setItem(PRODUCTS_CACHE_KEY, JSON.stringify({ savedAt: new Date().toISOString(), products }));
+    } catch (error) {
+        console.warn('Could not cache products:', error);
+    }
+}
+
+/**
+ * Replaces appState.products and re-renders everything that depends on the catalog.
+ * @param {Object[]} products
+ */
+function applyProducts(products) {
+    const isFirstLoad = productsState.status !== 'ready';
+    productsState.status = 'ready';
+    dispatch('products/set', { products }); // Re-renders the cart, whose availability depends on the catalog
+    reconcileCartWithProducts();
+    checkStockAlerts();
+
+    renderFeaturedProducts();
+    loadWishlistFromLocalStorage(); // Wishlist ids are checked against the catalog
+    if (isFirstLoad) {
+        syncViewsWithUrl(); // Deep links to categories, products and searches need the catalog
+        scrollToOpenView();
+    } else {
+        renderCatalog();
+        renderSearchResults();
+        if (productModalOverlay.classList.contains('active')) renderProductDetail();
+    }
+}
+
+/**
+ * Loads the catalog: renders cached products immediately (if any), then fetches the
+ * latest products and re-renders when they changed.
+ */
+async function loadProducts() {
+    if (productsState.isFetching) return;
+
+    const cachedProducts = productsState.status === 'ready' ? null : readCachedProducts();
+    if (cachedProducts) {
+        applyProducts(cachedProducts);
+    } else if (productsState.status !== 'ready') {
+        productsState.status = 'loading';
+        renderFeaturedProducts();
+    }
+
+    productsState.isFetching = true;
+    try {
+        const products = await fetchProducts();
+        if (IS_DEV_MODE) lintCatalog(products);
+        saveProductsToCache(products);
+        if (JSON.stringify(products) !== JSON.stringify(appState.products)) {
+            applyProducts(products);
+        }
+    } catch (error) {
+        console.error('Could not load products:', error);
+        if (productsState.status !== 'ready') {
+            productsState.status = 'error';
+            renderFeaturedProducts();
+            showToast('We couldn\'t load our products. Please check your connection and try again.', 'error');
+        }
+    } finally {
+        productsState.isFetching = false;
+    }
+}
+
+// Display names for the category ids used in the product catalog
+const categoryLabels = {
+    'fruits-vegetables': 'Fruits & Vegetables',
+    'dairy-bakery': 'Dairy & Bakery',
+    'eggs-meat-fish': 'Eggs, Meat & Fish',
+    'gourmet-world-food': 'Gourmet & World Food',
+    'organic-healthy': 'Organic & Healthy',
+    'atta-rice-dal': 'Atta, Rice & Dal',
+    'oil-ghee-masala': 'Oil, Ghee & Masala',
+    'snacks-biscuits': 'Snacks & Biscuits',
+    'breakfast-cereals': 'Breakfast & Cereals',
+    'sweet-craving': 'Sweet Cravings',
+    'staples-snacks': 'Staples & Snacks',
+    'beverages': 'Beverages',
+    'personal-care': 'Personal Care',
+    'household-cleaning': 'Household Cleaning',
+    'baby-care': 'Baby Care',
+    'pet-care': 'Pet Care',
+    'frozen-items': 'Frozen Items',
+    'instant-food-mixes': 'Instant Food & Mixes',
+    'bakery-desserts': 'Bakery & Desserts',
+    'kitchen-accessories': 'Kitchen Accessories',
+    'seasonal-specials': 'Seasonal Specials'
+};
+
+// Promotions applied by the offer engine. Product rules (product-flat-off, product-percent-off)
+// set the sale price shown on cards; every other rule is applied to the cart and listed as a
+// discount line. Optional conditions: couponCode, minCartSubtotal, minQualifyingSubtotal.
+const PRODUCT_PRICE_RULE_TYPES = ['product-flat-off', 'product-percent-off'];
+const offerRules = [
+    { id: 'rice-save-50', type: 'product-flat-off', productIds: ['rice-1kg'], amount: 50, badge: 'SAVE ₹50' },
+    { id: 'oil-flat-20', type: 'product-flat-off', productIds: ['oil-1l'], amount: 20 },
+    { id: 'tomato-hot-deal', type: 'product-flat-off', productIds: ['tomato-500g'], amount: 10, badge: 'HOT DEAL' },
+    { id: 'potato-bogo', type: 'bogo', productIds: ['potato-1kg'], buy: 1, get: 1, label: 'Buy 1 Get 1 Free on Potatoes' },
+    { id: 'dairy-bakery-flat-100', type: 'category-flat-off', categories: ['dairy-bakery'], amount: 100, minQualifyingSubtotal: 300, label: 'Flat ₹100 Off on Dairy & Bakery (₹300+)' },
+    { id: 'healthy-snack-15', type: 'category-percent-off', categories: ['snacks-biscuits'], percent: 15, couponCode: 'HEALTHYSNACK', label: '15% Off on Healthy Snacks' },
+    { id: 'cart-75-off', type: 'cart-flat-off', amount: 75, minCartSubtotal: 999, couponCode: 'MMP75', label: '₹75 Off on Orders Above ₹999' }
+];
+
+// Delivery pricing per city. The base fee is waived once the cart (after discounts) reaches
+// freeDeliveryThreshold. surgeFee applies to slots starting in DELIVERY_PEAK_HOURS and
+// lateNightFee to slots starting at or after LATE_NIGHT_START_HOUR. Products listed in
+// unavailableCategories / unavailableProductIds can't be delivered to that city.
+// pincodePrefixes lists the PIN code ranges the city's stores deliver to.
+const DEFAULT_DELIVERY_CITY = 'delhi';
+const DELIVERY_PEAK_HOURS = [[7, 9], [18, 21]]; // 24h start/end hours
+const LATE_NIGHT_START_HOUR = 21;
+const deliveryPricing = {
+    delhi: { baseFee: 30, freeDeliveryThreshold: 499, surgeFee: 20, lateNightFee: 25, unavailableCategories: [], unavailableProductIds: [], pincodePrefixes: ['110'] },
+    mumbai: { baseFee: 35, freeDeliveryThreshold: 599, surgeFee: 25, lateNightFee: 30, unavailableCategories: [], unavailableProductIds: ['fish-bhetki', 'holi-pichkari'], pincodePrefixes: ['400'] },
+    bangalore: { baseFee: 30, freeDeliveryThreshold: 499, surgeFee: 20, lateNightFee: 25, unavailableCategories: ['frozen-items'], unavailableProductIds: [], pincodePrefixes: ['560'] },
+    hyderabad: { baseFee: 25, freeDeliveryThreshold: 399, surgeFee: 15, lateNightFee: 20, unavailableCategories: [], unavailableProductIds: ['fish-salmon', 'gourmet-cheese'], pincodePrefixes: ['500'] },
+    chennai: { baseFee: 30, freeDeliveryThreshold: 449, surgeFee: 20, lateNightFee: 25, unavailableCategories: ['seasonal-specials'], unavailableProductIds: ['fish-rohu'], pincodePrefixes: ['600'] }
+};
+
+
+// --- DOM Element Selection ---
+const header = document.querySelector('.main-header');
+const mobileMenuToggle = document.querySelector('.mobile-menu-toggle');
+const mobileSidebar = document.querySelector('.mobile-navigation-sidebar');
+const closeSidebarBtn = document.querySelector('.close-sidebar');
+const desktopDropdownToggles = document.querySelectorAll('.main-navigation .dropdown-toggle');
+const sidebarDropdownToggles = document.querySelectorAll('.sidebar-dropdown-toggle');
+const searchInput = document.getElementById('main-search-input');
+const searchSuggestions = document.querySelector('.search-suggestions');
+const searchSuggestionsStatus = document.querySelector('.search-suggestions-status');
+const mobileSearchInput = document.getElementById('mobile-search-input');
+const mobileSearchButton = document.querySelector('.sidebar-search button');
+const cartIconBtn = document.querySelector('.btn-cart');
+const cartDropdown = document.querySelector('.cart-dropdown');
+const cartCountElements = document.querySelectorAll('.cart-count, .cart-count-dropdown');
+const cartItemsList = document.querySelector('.cart-items-list');
+const cartSubtotalSpan = document.querySelector('.cart-subtotal');
+const cartDiscountLines = document.querySelector('.cart-discount-lines');
+const couponForm = document.querySelector('.coupon-form');
+const couponInput = document.getElementById('coupon-code-input');
+const appliedCoupon = document.querySelector('.applied-coupon');
+const freeDeliveryProgress = document.querySelector('.free-delivery-progress');
+const cartDeliveryLines = document.querySelector('.cart-delivery-lines');
+const cartUnavailableNotice = document.querySelector('.cart-unavailable-notice');
+const cartStockNotice = document.querySelector('.cart-stock-notice');
+const wishlistIconBtn = document.querySelector('.btn-wishlist');
+const wishlistDropdown = document.querySelector('.wishlist-dropdown');
+const wishlistItemsList = document.querySelector('.wishlist-items-list');
+const wishlistEmptyMessage = document.querySelector('.empty-wishlist-message');
+const wishlistCountElements = document.querySelectorAll('.wishlist-count, .wishlist-count-dropdown');
+const productModalOverlay = document.querySelector('.product-modal-overlay');
+const productDetailContent = document.querySelector('.product-detail');
+const frequentlyBoughtCarousel = document.querySelector('.frequently-bought-carousel');
+const moreFromCategoryCarousel = document.querySelector('.more-from-category-carousel');
+const cartTotalSpan = document.querySelector('.cart-total');
+const clearCartBtn = document.querySelector('.clear-cart-btn');
+const emptyCartMessage = document.querySelector('.empty-cart-message');
+const loginModalOverlay = document.querySelector('.login-modal-overlay');
+const registerModalOverlay = document.querySelector('.register-modal-overlay');
+const closeModals = document.querySelectorAll('.modal .close-modal');
+const btnLogin = document.querySelector('.btn-login');
+const btnSidebarLogin = document.querySelector('.btn-sidebar-login');
+const userAuthContainer = document.querySelector('.main-header .user-auth');
+const userDropdown = document.querySelector('.user-dropdown');
+const switchToRegisterLink = document.querySelector('.switch-to-register');
+const switchToLoginLink = document.querySelector('.switch-to-login');
+const loginForm = document.querySelector('.login-form');
+const registerForm = document.querySelector('.register-form');
+const registerOtpForm = document.querySelector('.register-otp-form');
+const forgotPasswordLink = document.querySelector('.login-form .forgot-password');
+const forgotPasswordModalOverlay = document.querySelector('.forgot-password-modal-overlay');
+const forgotPasswordRequestForm = document.querySelector('.forgot-password-request-form');
+const forgotPasswordResetForm = document.querySelector('.forgot-password-reset-form');
+const forgotPasswordBackToLoginLink = document.querySelector('.forgot-back-to-login');
+const navLinks = document.querySelectorAll('.nav-link, .sidebar-nav-link');
+const shopNowHeroBtn = document.querySelector('.hero-section .shop-now-btn');
+const exploreCategoriesHeroBtn = document.querySelector('.hero-section .explore-categories-btn');
+const shopPromoBtns = document.querySelectorAll('.shop-promo-btn');
+const deliveryLocationSelect = document.getElementById('delivery-location');
+const checkoutModalOverlay = document.querySelector('.checkout-modal-overlay');
+const checkoutAddressForm = document.querySelector('.checkout-address-form');
+const checkoutCitySelect = document.getElementById('checkout-city');
+const checkoutSlotList = document.querySelector('.checkout-slot-list');
+const checkoutPaymentForm = document.querySelector('.checkout-payment-form');
+const checkoutBackBtn = document.querySelector('.checkout-back-btn');
+const checkoutNextBtn = document.querySelector('.checkout-next-btn');
+const featuredProductsSection = document.querySelector('.featured-products-section');
+const catalogSection = document.getElementById('catalog-section');
+const catalogGrid = document.querySelector('.catalog-grid');
+const catalogCategoryFacets = document.querySelector('.catalog-category-facets');
+const catalogMinPriceInput = document.getElementById('catalog-min-price');
+const catalogMaxPriceInput = document.getElementById('catalog-max-price');
+const catalogOnOfferCheckbox = document.getElementById('catalog-on-offer');
+const catalogSortSelect = document.getElementById('catalog-sort');
+const catalogResultCount = document.querySelector('.catalog-result-count');
+const catalogEmptyMessage = document.querySelector('.catalog-empty-message');
+const catalogPagination = document.querySelector('.catalog-pagination');
+const searchResultsSection = document.getElementById('search-results-section');
+const searchResultsTitle = document.querySelector('.search-results-title');
+const searchResultsCount = document.querySelector('.search-results-count');
+const searchResultsGrid = document.querySelector('.search-results-grid');
+const searchNoResults = document.querySelector('.search-no-results');
+const searchFallbackCategories = document.querySelector('.search-fallback-categories');
+const ordersSection = document.getElementById('orders-section');
+const ordersTitle = document.querySelector('.orders-title');
+const ordersContent = document.querySelector('.orders-content');
+const accountSection = document.querySelector('.account-section');
+const profileForm = document.querySelector('.profile-form');
+const profilePhoneCodeGroup = document.querySelector('.profile-phone-code');
+const addressList = document.querySelector('.address-list');
+const addressForm = document.querySelector('.address-form');
+const checkoutSavedAddressSelect = document.getElementById('checkout-saved-address');
+const subscriptionsSection = document.getElementById('subscriptions-section');
+const subscriptionList = document.querySelector('.subscription-list');
+const subscriptionForm = document.querySelector('.subscription-form');
+const subscriptionBill = document.querySelector('.subscription-bill');
+const subscriptionCalendar = document.querySelector('.subscription-calendar');
+const vacationForm = document.querySelector('.vacation-form');
+
+
+// --- Event Listeners ---
+
+document.addEventListener('DOMContentLoaded', () => {
+    loadDeliveryCityFromLocalStorage();
+    loadLoginStateFromLocalStorage();
+    loadCartFromLocalStorage(); // Needs the customer: each has their own cart
+    loadWishlistFromLocalStorage();
+    initializeCarousels();
+    validateStoredSession();
+    loadProducts(); // Renders products and opens the view, product or cart the URL hash points at
+});
+
+// Header Sticky and Shadow on Scroll
+window.addEventListener('scroll', () => {
+    if (window.scrollY > 0) {
+        header.classList.add('sticky-header');
+    } else {
+        header.classList.remove('sticky-header');
+    }
+});
+
+// Mobile Menu Toggle
+mobileMenuToggle.addEventListener('click', () => {
+    mobileSidebar.classList.add('active');
+    document.body.classList.add('no-scroll'); // Prevent scrolling body
+});
+
+closeSidebarBtn.addEventListener('click', () => {
+    mobileSidebar.classList.remove('active');
+    document.body.classList.remove('no-scroll');
+});
+
+// Close sidebar when clicking outside (overlay effect)
+mobileSidebar.addEventListener('click', (e) => {
+    if (e.target === mobileSidebar) {
+        mobileSidebar.classList.remove('active');
+        document.body.classList.remove('no-scroll');
+    }
+});
+
+// Desktop Categories Dropdown Toggle (CSS handles :hover, but JS for potential click toggle)
+desktopDropdownToggles.forEach(toggle => {
+    toggle.addEventListener('click', (e) => {
+        // Prevent default link behavior for dropdown toggle
+        e.preventDefault();
+        // Optionally, add JS to toggle visibility on click if CSS :hover is not enough or for accessibility
+        const dropdownMenu = toggle.nextElementSibling;
+        if (dropdownMenu && dropdownMenu.classList.contains('dropdown-menu')) {
+            dropdownMenu.classList.toggle('active'); // Add/remove active class for JS control
+        }
+    });
+});
+
+// Sidebar Dropdown Toggle for Categories
+sidebarDropdownToggles.forEach(toggle => {
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        const parentLi = toggle.closest('li');
+        const dropdownMenu = parentLi.querySelector('.sidebar-dropdown-menu');
+        parentLi.classList.toggle('active');
+        if (dropdownMenu) {
+            dropdownMenu.style.maxHeight = parentLi.classList.contains('active') ? `${dropdownMenu.scrollHeight}px` : '0';
+        }
+    });
+});
+
+
+// Search Bar Functionality (ARIA combobox: the input controls the suggestions listbox)
+let searchTimeout;
+searchInput.addEventListener('input', (e) => {
+    clearTimeout(searchTimeout);
+    const query = e.target.value.toLowerCase();
+    
+    if (query.length > 2) {
+        searchTimeout = setTimeout(() => {
+            filterSearchSuggestions(query);
+            openSearchSuggestions();
+        }, 300); // Debounce search input
+    } else {
+        searchSuggestions.replaceChildren();
+        closeSearchSuggestions();
+    }
+});
+
+searchInput.addEventListener('focus', () => {
+    if (searchInput.value.length > 2 && searchSuggestions.querySelector('[role="option"]')) {
+        openSearchSuggestions();
+    }
+});
+
+// Hide search suggestions when clicking outside
+document.addEventListener('click', (e) => {
+    if (!searchInput.contains(e.target) && !searchSuggestions.contains(e.target)) {
+        closeSearchSuggestions();
+    }
+});
+
+searchSuggestions.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option && option.getAttribute('aria-disabled') !== 'true') {
+        selectSearchSuggestion(option);
+    }
+});
+
+// Keep the hovered option and the keyboard-active option the same
+searchSuggestions.addEventListener('mousemove', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option && option.getAttribute('aria-disabled') !== 'true' && option.id !== searchInput.getAttribute('aria-activedescendant')) {
+        setActiveSearchSuggestion(getSelectableSearchSuggestions().indexOf(option));
+    }
+});
+
+function submitMainSearch() {
+    const query = searchInput.value.trim();
+    if (query) {
+        clearTimeout(searchTimeout); // Don't reopen suggestions after searching
+        closeSearchSuggestions();
+        openSearchResults(query);
+    }
+}
+
+document.getElementById('main-search-button').addEventListener('click', submitMainSearch);
+
+searchInput.addEventListener('keydown', (e) => {
+    const options = getSelectableSearchSuggestions();
+    const isOpen = searchSuggestions.classList.contains('active');
+    const activeIndex = options.findIndex(option => option.id === searchInput.getAttribute('aria-activedescendant'));
+
+    switch (e.key) {
+        case 'ArrowDown':
+            if (options.length === 0) return;
+            e.preventDefault();
+            openSearchSuggestions();
+            setActiveSearchSuggestion(isOpen ? (activeIndex + 1) % options.length : 0);
+            break;
+        case 'ArrowUp':
+            if (options.length === 0) return;
+            e.preventDefault();
+            openSearchSuggestions();
+            setActiveSearchSuggestion(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+            break;
+        case 'Enter':
+            e.preventDefault();
+            if (isOpen && activeIndex > -1) {
+                selectSearchSuggestion(options[activeIndex]);
+            } else {
+                submitMainSearch();
+            }
+            break;
+        case 'Escape':
+            if (isOpen) {
+                e.preventDefault();
+                closeSearchSuggestions();
+            }
+            break;
+        default:
+            break;
+    }
+});
+
+
+// Cart Icon Click (Toggle Cart Dropdown)
+cartIconBtn.addEventListener('click', (e) => {
+    e.stopPropagation(); // Prevent document click from immediately closing
+    if (getCurrentRoute().name === 'cart') {
+        leaveOverlayRoute();
+    } else {
+        navigate('/cart');
+    }
+});
+
+/**
+ * Closes the cart dropdown and leaves the #/cart route if it is open.
+ * @param {{ replace: boolean }} options - See leaveOverlayRoute().
+ */
+function closeCartDropdown(options) {
+    cartDropdown.classList.remove('active');
+    if (getCurrentRoute().name === 'cart') leaveOverlayRoute(options);
+}
+
+// Close cart dropdown when clicking outside (checkout may send the customer back to the cart)
+document.addEventListener('click', (e) => {
+    if (!cartDropdown.contains(e.target) && !cartIconBtn.contains(e.target) && !checkoutModalOverlay.contains(e.target)) {
+        closeCartDropdown({ replace: true }); // The click may navigate somewhere else
+    }
+});
+
+// Clear Cart Button
+clearCartBtn.addEventListener('click', () => {
+    dispatch('cart/clear');
+    showToast('Your cart has been cleared.', 'info');
+});
+
+// Handle "Add to Cart" and Quantity Controls (Event Delegation)
+document.addEventListener('click', (e) => {
+    // Add to Cart from product cards (the product and its price come from the catalog, not the DOM)
+    const addToCartBtn = e.target.closest('.btn-add-to-cart');
+    if (addToCartBtn && addToCartBtn.dataset.productId) {
+        const product = addToCart(addToCartBtn.dataset.productId);
+        if (product) showToast(`${product.name} added to cart!`, 'success');
+    }
+
+    // Cart Quantity Increase
+    if (e.target.classList.contains('increase-qty')) {
+        const productId = e.target.dataset.productId;
+        updateCartItemQuantity(productId, 1);
+    }
+
+    // Cart Quantity Decrease
+    if (e.target.classList.contains('decrease-qty')) {
+        const productId = e.target.dataset.productId;
+        updateCartItemQuantity(productId, -1);
+    }
+
+    // Cart Item Remove
+    if (e.target.classList.contains('cart-item-remove')) {
+        const productId = e.target.dataset.productId;
+        removeCartItem(productId);
+    }
+});
+
+// Login/Register Modal Functionality (the login buttons themselves are handled by the User Menu)
+closeModals.forEach(btn => {
+    btn.addEventListener('click', (e) => {
+        closeModal(e.target.closest('.modal-overlay'));
+    });
+});
+
+loginModalOverlay.addEventListener('click', (e) => {
+    if (e.target === loginModalOverlay) closeModal(loginModalOverlay);
+});
+registerModalOverlay.addEventListener('click', (e) => {
+    if (e.target === registerModalOverlay) closeModal(registerModalOverlay);
+});
+
+switchToRegisterLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    closeModal(loginModalOverlay);
+    openModal(registerModalOverlay);
+});
+
+switchToLoginLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    closeModal(registerModalOverlay);
+    openModal(loginModalOverlay);
+});
+
+loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = loginForm.querySelector('#login-email').value;
+    const password = loginForm.querySelector('#login-password').value;
+    const remember = loginForm.querySelector('#remember-me').checked;
+
+    if (!isValidEmail(email)) {
+        showToast('Please enter a valid email address.', 'error');
+        return;
+    }
+    if (password.length < AUTH_PASSWORD_MIN_LENGTH) {
+        showToast(`Password must be at least ${AUTH_PASSWORD_MIN_LENGTH} characters long.`, 'error');
+        return;
+    }
+
+    const submitButton = loginForm.querySelector('.login-submit-btn');
+    submitButton.disabled = true;
+    try {
+        const session = await authBackend.login({ email, password, remember });
+        startSession(session, remember);
+        closeModal(loginModalOverlay);
+        showToast('Login successful! Welcome back!', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+});
+
+registerForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = registerForm.querySelector('#register-name').value;
+    const email = registerForm.querySelector('#register-email').value;
+    const phone = registerForm.querySelector('#register-phone').value;
+    const password = registerForm.querySelector('#register-password').value;
+    const confirmPassword = registerForm.querySelector('#register-confirm-password').value;
+    const acceptTerms = registerForm.querySelector('#accept-terms').checked;
+
+    if (!name || name.length < 3) {
+        showToast('Please enter your full name (at least 3 characters).', 'error');
+        return;
+    }
+    if (!isValidEmail(email)) {
+        showToast('Please enter a valid email address.', 'error');
+        return;
+    }
+    if (!phone || !/^\d{10}$/.test(phone)) {
+        showToast('Please enter a valid 10-digit mobile number.', 'error');
+        return;
+    }
+    if (password.length < AUTH_PASSWORD_MIN_LENGTH) {
+        showToast(`Password must be at least ${AUTH_PASSWORD_MIN_LENGTH} characters long.`, 'error');
+        return;
+    }
+    if (password !== confirmPassword) {
+        showToast('Passwords do not match.', 'error');
+        return;
+    }
+    if (!acceptTerms) {
+        showToast('You must accept the terms and conditions.', 'error');
+        return;
+    }
+
+    // The account is created once the phone number is verified (see Verification Flows)
+    const submitButton = registerForm.querySelector('.register-submit-btn');
+    submitButton.disabled = true;
+    if (await sendVerificationCode('verify-phone', phone, registerOtpForm.querySelector('.btn-resend-code'))) {
+        verificationState.pendingRegistration = { name, email, phone, password };
+        showRegisterStep('otp');
+        showToast(`We've sent a verification code to ${phone}.`, 'info');
+    }
+    submitButton.disabled = false;
+});
+
+// Smooth Scrolling for Navigation Links
+navLinks.forEach(link => {
+    link.addEventListener('click', (e) => {
+        const targetId = e.target.dataset.target;
+        if (targetId) {
+            e.preventDefault();
+            const targetSection = document.getElementById(targetId);
+            if (targetSection) {
+                targetSection.scrollIntoView({ behavior: 'smooth' });
+                // Also close mobile sidebar if open
+                mobileSidebar.classList.remove('active');
+                document.body.classList.remove('no-scroll');
+            }
+        }
+    });
+});
+
+// Hero section buttons smooth scroll
+shopNowHeroBtn.addEventListener('click', () => {
+    document.getElementById('offers-section').scrollIntoView({ behavior: 'smooth' });
+});
+
+exploreCategoriesHeroBtn.addEventListener('click', () => {
+    document.getElementById('categories-section').scrollIntoView({ behavior: 'smooth' });
+});
+
+// Shop Promo Buttons route to their category (#/category/<id>)
+shopPromoBtns.forEach(btn => {
+    btn.addEventListener('click', (e) => {
+        const category = e.target.dataset.category;
+        if (categoryLabels[category]) {
+            openCatalog({ categories: [category] });
+        }
+    });
+});
+
+
+// --- Cart Management Functions ---
+
+/**
+ * Builds a cart item for a catalog product at its current price.
+ * @param {Object} product - A product size from findSellableProduct() or getSelectedVariantProduct().
+ * @param {number} quantity
+ * @returns {{ id: string, name: string, price: number, image: string, quantity: number }}
+ */
+function createCartItem(product, quantity) {
+    return {
+        id: product.id,
+        name: product.name,
+        price: getProductDisplayPrice(product),
+        image: product.imageUrl,
+        quantity
+    };
+}
+
+/**
+ * Brings saved cart items up to date with the catalog: refreshes names, prices and images,
+ * and removes products that are no longer sold. Tells the customer what changed.
+ */
+function reconcileCartWithProducts() {
+    if (appState.products.length === 0 || appState.cart.length === 0) return;
+    const removed = [];
+    const repriced = [];
+    let hasChanges = false;
+    const cart = [];
+    appState.cart.forEach(item => {
+        const product = findSellableProduct(item.id);
+        if (!product) {
+            removed.push(item.name);
+            hasChanges = true;
+            return;
+        }
+        const current = createCartItem(product, item.quantity);
+        if (current.price !== item.price) repriced.push(`${current.name} (now ₹${current.price.toFixed(2)})`);
+        if (current.price !== item.price || current.name !== item.name || current.image !== item.image) {
+            cart.push(current);
+            hasChanges = true;
+        } else {
+            cart.push(item);
+        }
+    });
+    if (!hasChanges) return;
+
+    dispatch('cart/load', { cart, couponCode: appState.couponCode });
+    if (removed.length > 0) {
+        showToast(`Removed from your cart (no longer available): ${removed.join(', ')}.`, 'info');
+    }
+    if (repriced.length > 0) {
+        showToast(`Prices in your cart have changed: ${repriced.join(', ')}.`, 'info');
+    }
+}
+
+/**
+ * Adds a product to the cart or increases its quantity if already present.
+ * The product is looked up with findSellableProduct(); shows a toast if it can't be added.
+ * @param {string} productId - Variant id, or a product id for its default size.
+ * @param {number} quantity - Number of units to add (default: 1).
+ * @returns {Object|null} The product size that was added, or null.
+ */
+function addToCart(productId, quantity = 1) {
+    const product = findSellableProduct(productId);
+    if (!product) {
+        showToast('Sorry, this product is no longer available.', 'error');
+        return null;
+    }
+    if (!isProductAvailable(product)) {
+        showToast(`${product.name} can't be delivered to ${getCityLabel()}.`, 'error');
+        return null;
+    }
+    if (!isInStock(product)) {
+        showToast(`${product.name} is out of stock.`, 'error');
+        return null;
+    }
+    // Adds as many as the limit allows; callers can compare getCartQuantity() to see how many
+    const maxQuantity = getMaxOrderQuantity(product);
+    const addable = Math.min(quantity, maxQuantity - getCartQuantity(product.id));
+    if (addable <= 0) {
+        showToast(`You can order up to ${maxQuantity} of ${product.name}.`, 'error');
+        return null;
+    }
+
+    dispatch('cart/addItems', { items: [{ product, quantity: addable }] });
+    return product;
+}
+
+/**
+ * Returns how many of a product are in the cart.
+ * @param {string} productId
+ * @returns {number}
+ */
+function getCartQuantity(productId) {
+    const item = appState.cart.find(item => item.id === productId);
+    return item ? item.quantity : 0;
+}
+
+/**
+ * Updates the quantity of a cart item.
+ * @param {string} productId - ID of the product.
+ * @param {number} change - Amount to change quantity by (+1 or -1).
+ */
+function updateCartItemQuantity(productId, change) {
+    const item = appState.cart.find(item => item.id === productId);
+    if (item) {
+        const product = findSellableProduct(productId);
+        if (item.quantity + change <= 0) {
+            removeCartItem(productId);
+        } else if (change > 0 && product && item.quantity + change > getMaxOrderQuantity(product)) {
+            showToast(isInStock(product)
+                ? `You can order up to ${getMaxOrderQuantity(product)} of ${product.name}.`
+                : `${product.name} is out of stock.`, 'error');
+        } else {
+            dispatch('cart/setQuantity', { productId, quantity: item.quantity + change });
+        }
+    }
+}
+
+/**
+ * Removes an item from the cart.
+ * @param {string} productId - ID of the product to remove.
+ */
+function removeCartItem(productId) {
+    dispatch('cart/remove', { productId });
+    showToast('Item removed from cart.', 'info');
+}
+
+/**
+ * Calculates item count, subtotal, offer discounts, delivery charges and total for a list of cart items.
+ * Delivery charges use the current city and, once chosen in checkout, the delivery slot.
+ * @param {Object[]} items - Cart items (defaults to appState.cart).
+ * @param {string|null} couponCode - Defaults to the coupon applied to the cart.
+ * @returns {{ itemCount: number, subtotal: number, discountLines: Object[], discountTotal: number, delivery: Object, deliveryFee: number, total: number }}
+ */
+function getCartTotals(items = appState.cart, couponCode = appState.couponCode) {
+    const itemCount = selectCartItemCount({ cart: items });
+    const subtotal = selectCartSubtotal({ cart: items });
+    const discounts = applyOfferRules(items, couponCode);
+    const delivery = getDeliveryQuote(subtotal - discounts.total, { slot: checkoutState.slot });
+    return {
+        itemCount,
+        subtotal,
+        discountLines: discounts.lines,
+        discountTotal: discounts.total,
+        delivery,
+        deliveryFee: delivery.fee,
+        total: subtotal - discounts.total + delivery.fee
+    };
+}
+
+/**
+ * Builds summary-line markup for offer discounts.
+ * @param {{ label: string, amount: number }[]} discountLines
+ * @returns {{ markup: string }}
+ */
+function renderDiscountLinesHtml(discountLines) {
+    return html`${discountLines.map(line => html`
+        <div class="summary-line discount-line"><span>${line.label}:</span><span>-₹${line.amount.toFixed(2)}</span></div>
+    `)}`;
+}
+
+/**
+ * Renders the cart items and totals in the dropdown. Runs automatically when the cart,
+ * coupon, delivery city or catalog changes.
+ */
+function updateCartUI() {
+    // Clear current items; the empty-cart message lives in the same list and is kept
+    cartItemsList.querySelectorAll('.cart-item').forEach(item => item.remove());
+    const totals = getCartTotals();
+
+    if (appState.cart.length === 0) {
+        emptyCartMessage.style.display = 'block';
+        clearCartBtn.style.display = 'none';
+    } else {
+        emptyCartMessage.style.display = 'none';
+        clearCartBtn.style.display = 'inline-block';
+
+        appState.cart.forEach(item => {
+            const cartItemDiv = document.createElement('div');
+            cartItemDiv.classList.add('cart-item');
+            const isAvailable = isProductAvailable(item);
+            const product = findSellableProduct(item.id);
+            const maxQuantity = product ? getMaxOrderQuantity(product) : Infinity;
+            if (!isAvailable || item.quantity > maxQuantity) cartItemDiv.classList.add('unavailable');
+            setHtml(cartItemDiv, html`
+                <img src="${item.image}" alt="${item.name}">
+                <div class="cart-item-details">
+                    <h4>${item.name}</h4>
+                    <p class="cart-item-price">₹${item.price.toFixed(2)}</p>
+                    ${isAvailable ? '' : html`<p class="cart-item-unavailable">Not deliverable to ${getCityLabel()}</p>`}
+                    ${product ? renderCartItemStockHtml(product, item.quantity) : ''}
+                </div>
+                <div class="cart-item-quantity-controls">
+                    <button class="decrease-qty" data-product-id="${item.id}"><i class="fas fa-minus"></i></button>
+                    <span>${item.quantity}</span>
+                    <button class="increase-qty" data-product-id="${item.id}" ${item.quantity >= maxQuantity ? 'disabled' : ''}
+                        title="${item.quantity >= maxQuantity ? `Limit of ${maxQuantity} per order` : ''}"><i class="fas fa-plus"></i></button>
+                </div>
+                <button class="save-for-later-btn" data-product-id="${item.id}" aria-label="Save ${item.name} for later" title="Save for later"><i class="far fa-heart"></i></button>
+                <button class="cart-item-remove" data-product-id="${item.id}"><i class="fas fa-trash-alt"></i></button>
+            `);
+            cartItemsList.appendChild(cartItemDiv);
+        });
+    }
+
+    // Update totals
+    cartSubtotalSpan.textContent = `₹${totals.subtotal.toFixed(2)}`;
+    setHtml(cartDiscountLines, renderDiscountLinesHtml(totals.discountLines));
+    couponForm.classList.toggle('hidden', Boolean(appState.couponCode));
+    appliedCoupon.classList.toggle('hidden', !appState.couponCode);
+    appliedCoupon.querySelector('.applied-coupon-code').textContent = appState.couponCode || '';
+    setHtml(cartDeliveryLines, renderDeliveryLinesHtml(totals.delivery));
+    renderFreeDeliveryProgress(totals);
+    cartUnavailableNotice.classList.toggle('hidden', getUnavailableCartItems().length === 0);
+    cartStockNotice.classList.toggle('hidden', getOverLimitCartItems().length === 0);
+    cartTotalSpan.textContent = `₹${totals.total.toFixed(2)}`;
+}
+
+// Checkout and Continue Shopping buttons in Cart
+document.querySelector('.btn-checkout').addEventListener('click', () => {
+    if (getUnavailableCartItems().length > 0) {
+        showToast(`Some items in your cart can't be delivered to ${getCityLabel()}. Please remove them to checkout.`, 'error');
+    } else if (getOverLimitCartItems().length > 0) {
+        showToast('Some items in your cart are out of stock or above the quantity limit. Please update them to checkout.', 'error');
+    } else if (appState.cart.length === 0) {
+        showToast('Your cart is empty. Please add items to checkout.', 'error');
+    } else if (!appState.isLoggedIn) {
+        closeCartDropdown({ replace: true });
+        showToast('Please log in to checkout. Your cart will be waiting for you.', 'info');
+        openModal(loginModalOverlay);
+    } else {
+        closeCartDropdown({ replace: true });
+        openCheckout();
+    }
+});
+
+document.querySelector('.btn-continue-shopping').addEventListener('click', () => {
+    closeCartDropdown();
+});
+
+subscribe(state => [state.cart, state.couponCode], saveCartToLocalStorage);
+subscribe(state => [state.cart, state.couponCode, state.deliveryCity, state.products], updateCartUI);
+subscribe(selectCartItemCount, count => {
+    cartCountElements.forEach(element => {
+        element.textContent = count;
+    });
+});
+
+// --- Stock & Quantity Limits ---
+// Catalog products may carry stock (units left) and maxPerOrder. Products without stock are treated as
+// always in stock, and maxPerOrder defaults to DEFAULT_MAX_PER_ORDER. Logged-in customers can ask to be
+// told when an out-of-stock product is back; they hear about it the next time the catalog loads.
+const DEFAULT_MAX_PER_ORDER = 20;
+const LOW_STOCK_THRESHOLD = 5; // "Only N left" is shown from this many units down
+
+function getProductStock(product) {
+    return Number.isInteger(product.stock) ? Math.max(0, product.stock) : Infinity;
+}
+
+function isInStock(product) {
+    return getProductStock(product) > 0;
+}
+
+/**
+ * Returns the most of a product one order can contain: its stock or its per-order cap, whichever is lower.
+ * @param {Object} product
+ * @returns {number}
+ */
+function getMaxOrderQuantity(product) {
+    return Math.min(getProductStock(product), product.maxPerOrder || DEFAULT_MAX_PER_ORDER);
+}
+
+/**
+ * Returns "Out of stock", "Only N left", or '' when there is plenty.
+ * @param {Object} product
+ * @returns {string}
+ */
+function getStockLabel(product) {
+    const stock = getProductStock(product);
+    if (stock === 0) return 'Out of stock';
+    return stock <= LOW_STOCK_THRESHOLD ? `Only ${stock} left` : '';
+}
+
+/**
+ * Returns the cart items that are out of stock or above their quantity limit.
+ * @returns {Object[]}
+ */
+function getOverLimitCartItems() {
+    return appState.cart.filter(item => {
+        const product = findSellableProduct(item.id);
+        return product && item.quantity > getMaxOrderQuantity(product);
+    });
+}
+
+/**
+ * Builds the stock note shown under a cart item.
+ * @param {Object} product
+ * @param {number} quantity - Quantity in the cart.
+ * @returns {{ markup: string }|string}
+ */
+function renderCartItemStockHtml(product, quantity) {
+    if (!isInStock(product)) return html`<p class="cart-item-unavailable">Out of stock</p>`;
+    const maxQuantity = getMaxOrderQuantity(product);
+    if (quantity > maxQuantity) return html`<p class="cart-item-unavailable">Only ${maxQuantity} available, please reduce the quantity</p>`;
+    const label = getStockLabel(product);
+    return label ? html`<p class="product-stock-low">${label}</p>` : '';
+}
+
+/**
+ * Builds the "Notify Me" button shown instead of add-to-cart for out-of-stock products.
+ * @param {Object} product
+ * @returns {{ markup: string }}
+ */
+function renderStockAlertButtonHtml(product) {
+    const isSubscribed = readStockAlerts().includes(product.id);
+    return html`
+        <button type="button" class="btn btn-notify-stock${isSubscribed ? ' active' : ''}" data-product-id="${product.id}"
+            aria-pressed="${isSubscribed}">${renderStockAlertLabelHtml(isSubscribed)}</button>
+    `;
+}
+
+function renderStockAlertLabelHtml(isSubscribed) {
+    return isSubscribed
+        ? html`<i class="fas fa-bell"></i> We'll notify you`
+        : html`<i class="far fa-bell"></i> Notify Me`;
+}
+
+/**
+ * Returns the localStorage key holding a customer's back-in-stock alerts.
+ * @param {string} email
+ * @returns {string}
+ */
+function getStockAlertsStorageKey(email) {
+    return `motherMilkPalaceStockAlerts:${email.toLowerCase()}`;
+}
+
+/**
+ * Returns the saved stock alerts format (product ids) for a customer's key.
+ * @param {string} email
+ */
+function getStockAlertsSchema(email) {
+    return {
+        key: getStockAlertsStorageKey(email),
+        version: 1,
+        migrations: {},
+        validate: alerts => (Array.isArray(alerts) ? alerts.filter(id => typeof id === 'string') : null)
+    };
+}
+
+/**
+ * Reads the product ids the current customer wants to hear about when they are back in stock.
+ * @returns {string[]}
+ */
+function readStockAlerts() {
+    if (!appState.currentUser) return [];
+    return readStoredRecord(getStockAlertsSchema(appState.currentUser.email)) || [];
+}
+
+function saveStockAlerts(alerts) {
+    writeStoredRecord(getStockAlertsSchema(appState.currentUser.email), alerts);
+}
+
+/**
+ * Subscribes the customer to (or unsubscribes them from) a back-in-stock alert for a product size.
+ * Guests are asked to log in first.
+ * @param {string} productId - Variant id.
+ */
+function toggleStockAlert(productId) {
+    const product = findSellableProduct(productId);
+    if (!product) return;
+    if (!appState.isLoggedIn) {
+        showToast(`Please log in to be notified when ${product.name} is back in stock.`, 'info');
+        openModal(loginModalOverlay);
+        return;
+    }
+
+    const alerts = readStockAlerts();
+    if (alerts.includes(productId)) {
+        saveStockAlerts(alerts.filter(id => id !== productId));
+        showToast(`You won't be notified about ${product.name}.`, 'info');
+    } else {
+        saveStockAlerts([...alerts, productId]);
+        showToast(`We'll let you know when ${product.name} is back in stock.`, 'success');
+    }
+    updateStockAlertButtons();
+}
+
+/**
+ * Re-renders every "Notify Me" button for the current customer's alerts.
+ */
+function updateStockAlertButtons() {
+    const alerts = readStockAlerts();
+    document.querySelectorAll('.btn-notify-stock').forEach(button => {
+        const isSubscribed = alerts.includes(button.dataset.productId);
+        button.classList.toggle('active', isSubscribed);
+        button.setAttribute('aria-pressed', isSubscribed);
+        setHtml(button, renderStockAlertLabelHtml(isSubscribed));
+    });
+}
+
+/**
+ * Tells the customer which products they asked about are back in stock, and clears those alerts.
+ */
+function checkStockAlerts() {
+    const alerts = readStockAlerts();
+    const restocked = alerts.map(id => findSellableProduct(id)).filter(product => product && isInStock(product));
+    if (restocked.length === 0) return;
+    saveStockAlerts(alerts.filter(id => !restocked.some(product => product.id === id)));
+    showToast(`Back in stock: ${restocked.map(product => product.name).join(', ')}.`, 'success');
+    updateStockAlertButtons();
+}
+
+document.addEventListener('click', (e) => {
+    const notifyBtn = e.target.closest('.btn-notify-stock');
+    if (notifyBtn) toggleStockAlert(notifyBtn.dataset.productId);
+});
+
+subscribeToLoginState(() => {
+    updateStockAlertButtons();
+    checkStockAlerts();
+});
+
+// --- Product Variants ---
+// A product sold in several sizes (e.g. 500 ml and 1 L milk) lists them as variants, each with its own
+// id, price, stock and image. The product keeps one card and one detail page with a size selector;
+// carts, orders, offers and stock alerts work with variant ids, so each size is its own cart line,
+// while the wishlist and product links use the product's id, which is never also a variant id.
+// Products without variants are sold in a single size under their own id.
+const variantSelections = new Map(); // Product id -> variant id chosen on its card or detail page
+
+/**
+ * Returns the sizes a product is sold in; products without variants have one, with the product's id.
+ * @param {Object} product
+ * @returns {{ id: string, size: string, price: number, offerPrice?: number, stock?: number, maxPerOrder?: number, imageUrl?: string }[]}
+ */
+function getProductVariants(product) {
+    if (Array.isArray(product.variants) && product.variants.length > 0) return product.variants;
+    return [{
+        id: product.id,
+        size: product.weight,
+        price: product.price,
+        offerPrice: product.offerPrice,
+        stock: product.stock,
+        maxPerOrder: product.maxPerOrder,
+        imageUrl: product.imageUrl
+    }];
+}
+
+/**
+ * Returns one size of a product as a product that can be priced, stocked and added to the cart.
+ * Its id is the variant id and productId is the product's; the name includes the size when
+ * the product comes in more than one.
+ * @param {Object} product
+ * @param {Object} variant - One of getProductVariants(product).
+ * @returns {Object}
+ */
+function getVariantProduct(product, variant) {
+    return {
+        ...product,
+        id: variant.id,
+        productId: product.id,
+        name: getProductVariants(product).length > 1 ? `${product.name} (${variant.size})` : product.name,
+        weight: variant.size,
+        price: variant.price,
+        offerPrice: variant.offerPrice,
+        stock: variant.stock,
+        maxPerOrder: variant.maxPerOrder,
+        imageUrl: variant.imageUrl || product.imageUrl
+    };
+}
+
+/**
+ * Looks up a variant id (or a product id, meaning its default size) in the catalog.
+ * @param {string} id
+ * @returns {Object|null} The variant as returned by getVariantProduct().
+ */
+function findSellableProduct(id) {
+    for (const product of appState.products) {
+        const variant = getProductVariants(product).find(v => v.id === id);
+        if (variant) return getVariantProduct(product, variant);
+    }
+    const product = appState.products.find(p => p.id === id);
+    return product ? getVariantProduct(product, getProductVariants(product)[0]) : null;
+}
+
+/**
+ * Returns the size chosen for a product, or its default size.
+ * @param {Object} product
+ * @returns {Object} The variant as returned by getVariantProduct().
+ */
+function getSelectedVariantProduct(product) {
+    const variants = getProductVariants(product);
+    const variant = variants.find(v => v.id === variantSelections.get(product.id)) || variants[0];
+    return getVariantProduct(product, variant);
+}
+
+/**
+ * Builds the size dropdown for a product card, or the plain size label for single-size products.
+ * @param {Object} product
+ * @param {Object} selected - The selected variant (getSelectedVariantProduct()).
+ * @returns {{ markup: string }}
+ */
+function renderVariantSelectHtml(product, selected) {
+    const variants = getProductVariants(product);
+    if (variants.length === 1) return html`<span class="product-weight">${selected.weight}</span>`;
+    return html`
+        <select class="variant-select" data-product-id="${product.id}" aria-label="Size of ${product.name}">
+            ${variants.map(variant => html`
+                <option value="${variant.id}" ${variant.id === selected.id ? 'selected' : ''}>${variant.size}</option>
+            `)}
+        </select>
+    `;
+}
+
+/**
+ * Builds the size buttons for the product detail view, each with its price.
+ * @param {Object} product
+ * @param {Object} selected - The selected variant (getSelectedVariantProduct()).
+ * @returns {{ markup: string }|string}
+ */
+function renderVariantOptionsHtml(product, selected) {
+    const variants = getProductVariants(product);
+    if (variants.length === 1) return '';
+    return html`
+        <div class="variant-options" role="group" aria-label="Size">
+            ${variants.map(variant => {
+                const sellable = getVariantProduct(product, variant);
+                const isSelected = variant.id === selected.id;
+                return html`
+                    <button type="button" class="variant-option${isSelected ? ' active' : ''}${isInStock(sellable) ? '' : ' out-of-stock'}"
+                        aria-pressed="${isSelected}" data-variant-id="${variant.id}">
+                        <span class="variant-size">${variant.size}</span>
+                        <span class="variant-price">₹${getProductDisplayPrice(sellable).toFixed(2)}</span>
+                    </button>
+                `;
+            })}
+        </div>
+    `;
+}
+
+/**
+ * Chooses a size for a product and re-renders its cards (and detail view, if open).
+ * @param {string} productId
+ * @param {string} variantId
+ */
+function selectProductVariant(productId, variantId) {
+    const product = appState.products.find(p => p.id === productId);
+    if (!product || !getProductVariants(product).some(v => v.id === variantId)) return;
+    variantSelections.set(productId, variantId);
+
+    document.querySelectorAll('.product-card[data-product-id]').forEach(card => {
+        if (card.dataset.productId === productId) renderProductCard(card, product, { lazy: false });
+    });
+    if (productModalOverlay.classList.contains('active') && productDetailState.productId === productId) {
+        productDetailState.quantity = 1;
+        renderProductDetailSummary(product);
+    }
+}
+
+document.addEventListener('change', (e) => {
+    const select = e.target.closest('.variant-select');
+    if (!select) return;
+    const card = select.closest('.product-card');
+    selectProductVariant(select.dataset.productId, select.value);
+    const replacement = card && card.querySelector('.variant-select');
+    if (replacement) replacement.focus(); // The card was re-rendered
+});
+
+// --- Unit Prices ---
+// Sizes ('1 Litre', '200g', '6 pcs') are parsed into an amount in grams, millilitres or pieces so
+// customers can compare value across pack sizes ("₹49.50 / L", "₹9.80 / 100 g"). Sizes that can't be
+// parsed simply show no unit price; lintCatalog() lists them during development.
+const QUANTITY_UNITS = {
+    g: { unit: 'g', factor: 1 },
+    gm: { unit: 'g', factor: 1 },
+    gms: { unit: 'g', factor: 1 },
+    gram: { unit: 'g', factor: 1 },
+    grams: { unit: 'g', factor: 1 },
+    kg: { unit: 'g', factor: 1000 },
+    kgs: { unit: 'g', factor: 1000 },
+    ml: { unit: 'ml', factor: 1 },
+    l: { unit: 'ml', factor: 1000 },
+    ltr: { unit: 'ml', factor: 1000 },
+    litre: { unit: 'ml', factor: 1000 },
+    litres: { unit: 'ml', factor: 1000 },
+    liter: { unit: 'ml', factor: 1000 },
+    liters: { unit: 'ml', factor: 1000 },
+    pc: { unit: 'pc', factor: 1 },
+    pcs: { unit: 'pc', factor: 1 },
+    piece: { unit: 'pc', factor: 1 },
+    pieces: { unit: 'pc', factor: 1 }
+};
+
+/**
+ * Parses a size such as '1 Litre', '2.25L', '500 gm' or 'M, 42pcs' (a prefix before a comma is ignored).
+ * @param {string} size
+ * @returns {{ amount: number, unit: 'g'|'ml'|'pc' }|null} The amount in grams, millilitres or pieces.
+ */
+function parseProductQuantity(size) {
+    const match = /^(?:[^,]*,\s*)?(\d+(?:\.\d+)?)\s*([a-z]+)$/i.exec(String(size || '').trim());
+    const unit = match && QUANTITY_UNITS[match[2].toLowerCase()];
+    if (!unit) return null;
+    const amount = parseFloat(match[1]) * unit.factor;
+    return amount > 0 ? { amount, unit: unit.unit } : null;
+}
+
+/**
+ * Returns a product's price per kg or litre (packs of 1 kg / 1 L and up), per 100 g or 100 ml
+ * (smaller packs), or per piece (packs of several pieces).
+ * @param {Object} product - A product or product size.
+ * @returns {{ price: number, per: string }|null} null when the size can't be parsed or it's a single piece.
+ */
+function getUnitPrice(product) {
+    const quantity = parseProductQuantity(product.weight);
+    if (!quantity) return null;
+    const price = getProductDisplayPrice(product);
+    if (quantity.unit === 'pc') {
+        return quantity.amount > 1 ? { price: price / quantity.amount, per: 'pc' } : null;
+    }
+    const isLargePack = quantity.amount >= 1000;
+    const reference = isLargePack ? 1000 : 100;
+    const per = quantity.unit === 'g' ? (isLargePack ? 'kg' : '100 g') : (isLargePack ? 'L' : '100 ml');
+    return { price: (price / quantity.amount) * reference, per };
+}
+
+// Unit prices only compare within a unit, so the unit price sort lists per-piece products first,
+// then by weight, then by volume, and products whose size can't be parsed last.
+const UNIT_PRICE_SORT_ORDER = ['pc', 'g', 'ml'];
+
+/**
+ * Returns a product's unit group (its index in UNIT_PRICE_SORT_ORDER) and its price per piece, kg or
+ * litre, for sorting.
+ * @param {Object} product
+ * @returns {{ group: number, price: number }} group is UNIT_PRICE_SORT_ORDER.length if the size can't be parsed.
+ */
+function getComparableUnitPrice(product) {
+    const quantity = parseProductQuantity(product.weight);
+    if (!quantity) return { group: UNIT_PRICE_SORT_ORDER.length, price: 0 };
+    return {
+        group: UNIT_PRICE_SORT_ORDER.indexOf(quantity.unit),
+        price: (getProductDisplayPrice(product) / quantity.amount) * (quantity.unit === 'pc' ? 1 : 1000)
+    };
+}
+
+/**
+ * Builds the unit price shown next to a product's price.
+ * @param {Object} product - A product or product size.
+ * @returns {{ markup: string }|string}
+ */
+function renderUnitPriceHtml(product) {
+    const unitPrice = getUnitPrice(product);
+    return unitPrice ? html`<span class="unit-price">₹${unitPrice.price.toFixed(2)} / ${unitPrice.per}</span>` : '';
+}
+
+/**
+ * Warns about catalog data the storefront can't use fully, currently sizes that can't be parsed
+ * into a unit price. Runs in development only (IS_DEV_MODE).
+ * @param {Object[]} products - Valid product records.
+ * @returns {string[]} The problems found.
+ */
+function lintCatalog(products) {
+    const problems = [];
+    products.forEach(product => {
+        getProductVariants(product).forEach(variant => {
+            if (!parseProductQuantity(variant.size)) {
+                problems.push(`${variant.id}: size ${JSON.stringify(variant.size)} has no recognised amount and unit`);
+            }
+        });
+    });
+    if (problems.length > 0) console.warn(`Catalog lint found ${problems.length} problem(s):\n${problems.join('\n')}`);
+    return problems;
+}
+
+// --- Wishlist (Save for Later) ---
+/**
+ * Returns true if the product is on the wishlist.
+ * @param {string} productId
+ * @returns {boolean}
+ */
+function isInWishlist(productId) {
+    return appState.wishlist.includes(productId);
+}
+
+/**
+ * Builds the heart toggle shown on product cards.
+ * @param {Object} product
+ * @returns {{ markup: string }}
+ */
+function renderWishlistToggleHtml(product) {
+    const isSaved = isInWishlist(product.id);
+    return html`
+        <button type="button" class="wishlist-toggle${isSaved ? ' active' : ''}" data-product-id="${product.id}"
+            aria-pressed="${isSaved}" aria-label="Save ${product.name} to wishlist">
+            <i class="${isSaved ? 'fas' : 'far'} fa-heart"></i>
+        </button>
+    `;
+}
+
+/**
+ * Adds a product to the wishlist or removes it if it is already there.
+ * @param {string} productId
+ */
+function toggleWishlistItem(productId) {
+    const product = appState.products.find(p => p.id === productId);
+    if (!product) return;
+
+    if (isInWishlist(productId)) {
+        dispatch('wishlist/remove', { productId });
+        showToast(`${product.name} removed from your wishlist.`, 'info');
+    } else {
+        dispatch('wishlist/add', { productId });
+        showToast(`${product.name} saved to your wishlist.`, 'success');
+    }
+    saveWishlistToLocalStorage();
+}
+
+/**
+ * Moves a cart item to the wishlist.
+ * @param {string} productId
+ */
+function saveCartItemForLater(productId) {
+    const item = appState.cart.find(cartItem => cartItem.id === productId);
+    if (!item) return;
+
+    const product = findSellableProduct(productId); // The wishlist keeps products, not sizes
+    if (product && !isInWishlist(product.productId)) {
+        dispatch('wishlist/add', { productId: product.productId });
+        saveWishlistToLocalStorage();
+    }
+    dispatch('cart/remove', { productId });
+    showToast(`${item.name} saved for later.`, 'info');
+}
+
+/**
+ * Moves a wishlist product to the cart at its current price.
+ * @param {string} productId
+ */
+function moveWishlistItemToCart(productId) {
+    const product = addToCart(productId);
+    if (!product) return;
+
+    dispatch('wishlist/remove', { productId });
+    saveWishlistToLocalStorage();
+    showToast(`${product.name} moved to your cart.`, 'success');
+}
+
+/**
+ * Renders the wishlist panel and keeps heart toggles and counts in sync. Runs automatically when the
+ * wishlist or catalog changes.
+ */
+function updateWishlistUI() {
+    wishlistCountElements.forEach(element => {
+        element.textContent = appState.wishlist.length;
+    });
+
+    document.querySelectorAll('.wishlist-toggle').forEach(toggle => {
+        const isSaved = isInWishlist(toggle.dataset.productId);
+        toggle.classList.toggle('active', isSaved);
+        toggle.setAttribute('aria-pressed', isSaved);
+        toggle.querySelector('i').className = `${isSaved ? 'fas' : 'far'} fa-heart`;
+    });
+
+    wishlistItemsList.replaceChildren();
+    wishlistEmptyMessage.classList.toggle('hidden', appState.wishlist.length > 0);
+    appState.wishlist.forEach(productId => {
+        const product = appState.products.find(p => p.id === productId);
+        if (!product) return;
+        const wishlistItem = document.createElement('div');
+        wishlistItem.classList.add('cart-item', 'wishlist-item');
+        setHtml(wishlistItem, html`
+            <img src="${product.imageUrl}" alt="${product.name}">
+            <div class="cart-item-details">
+                <h4>${product.name}</h4>
+                <p class="cart-item-price">₹${getProductDisplayPrice(product).toFixed(2)}</p>
+                <button class="move-to-cart-btn" data-product-id="${product.id}">Move to cart</button>
+            </div>
+            <button class="wishlist-remove" data-product-id="${product.id}" aria-label="Remove ${product.name} from wishlist"><i class="fas fa-trash-alt"></i></button>
+        `);
+        wishlistItemsList.appendChild(wishlistItem);
+    });
+}
+
+wishlistIconBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    wishlistDropdown.classList.toggle('active');
+});
+
+document.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.wishlist-toggle');
+    if (toggle) {
+        toggleWishlistItem(toggle.dataset.productId);
+        return;
+    }
+
+    const saveForLaterBtn = e.target.closest('.save-for-later-btn');
+    if (saveForLaterBtn) {
+        saveCartItemForLater(saveForLaterBtn.dataset.productId);
+        return;
+    }
+
+    if (!wishlistDropdown.contains(e.target) && !wishlistIconBtn.contains(e.target)) {
+        wishlistDropdown.classList.remove('active');
+    }
+});
+
+wishlistItemsList.addEventListener('click', (e) => {
+    e.stopPropagation(); // Keep the panel open while managing items
+    const moveBtn = e.target.closest('.move-to-cart-btn');
+    const removeBtn = e.target.closest('.wishlist-remove');
+    if (moveBtn) {
+        moveWishlistItemToCart(moveBtn.dataset.productId);
+    } else if (removeBtn) {
+        toggleWishlistItem(removeBtn.dataset.productId);
+    }
+});
+
+subscribe(state => [state.wishlist, state.products], updateWishlistUI);
+
+// --- Product Detail ---
+const RELATED_PRODUCTS_LIMIT = 8;
+
+// Curated "frequently bought together" picks; other products fall back to complementaryCategories
+const frequentlyBoughtTogether = {
+    'milk-full-cream': ['bread-400g', 'butter-amul', 'tea-premium', 'sugar', 'eggs-farm-fresh'],
+    'bread-400g': ['butter-amul', 'jam-kishan', 'milk-full-cream', 'eggs-farm-fresh'],
+    'tea-premium': ['milk-full-cream', 'sugar', 'biscuits-parle'],
+    'atta-shudh-chakki': ['dal-arhar', 'ghee-patanjali', 'oil-sunflower', 'spices-everest'],
+    'rice-basmati-rozana': ['dal-arhar', 'masoor-dal', 'ghee-patanjali'],
+    'maggi-noodles': ['ketchup-maggi', 'chips-maggie', 'coke-bottle'],
+    'potato-1kg': ['onion-1kg', 'tomato-500g', 'oil-sunflower']
+};
+
+const complementaryCategories = {
+    'fruits-vegetables': ['dairy-bakery', 'oil-ghee-masala'],
+    'dairy-bakery': ['breakfast-cereals', 'beverages'],
+    'eggs-meat-fish': ['oil-ghee-masala', 'fruits-vegetables'],
+    'atta-rice-dal': ['oil-ghee-masala', 'fruits-vegetables'],
+    'oil-ghee-masala': ['atta-rice-dal', 'fruits-vegetables'],
+    'snacks-biscuits': ['beverages', 'sweet-craving'],
+    'breakfast-cereals': ['dairy-bakery', 'beverages'],
+    'beverages': ['snacks-biscuits', 'staples-snacks'],
+    'baby-care': ['personal-care'],
+    'personal-care': ['household-cleaning'],
+    'household-cleaning': ['kitchen-accessories'],
+    'frozen-items': ['instant-food-mixes', 'beverages'],
+    'instant-food-mixes': ['frozen-items', 'snacks-biscuits']
+};
+
+const productDetailState = {
+    productId: null,
+    quantity: 1
+};
+
+/**
+ * Returns products often bought with the given product.
+ * @param {Object} product
+ * @param {number} limit
+ * @returns {Object[]}
+ */
+function getFrequentlyBoughtTogether(product, limit = RELATED_PRODUCTS_LIMIT) {
+    const curatedIds = frequentlyBoughtTogether[product.id] || [];
+    const curated = curatedIds
+        .map(id => appState.products.find(p => p.id === id))
+        .filter(Boolean);
+    const categories = complementaryCategories[product.category] || [];
+    const fallback = appState.products.filter(p =>
+        categories.includes(p.category) && p.id !== product.id && !curatedIds.includes(p.id)
+    );
+    return [...curated, ...fallback].slice(0, limit);
+}
+
+/**
+ * Returns other products from the same category.
+ * @param {Object} product
+ * @param {number} limit
+ * @returns {Object[]}
+ */
+function getMoreFromCategory(product, limit = RELATED_PRODUCTS_LIMIT) {
+    return appState.products
+        .filter(p => p.category === product.category && p.id !== product.id)
+        .slice(0, limit);
+}
+
+/**
+ * Opens the product detail modal for a product (called by the router for #/product/<id>).
+ * A variant id opens its product with that size selected.
+ * @param {string} productId
+ * @returns {boolean} false if the product doesn't exist.
+ */
+function openProductDetail(productId) {
+    const sellable = findSellableProduct(productId);
+    if (!sellable) {
+        showToast('Sorry, this product is no longer available.', 'error');
+        return false;
+    }
+
+    if (sellable.productId !== productId) variantSelections.set(sellable.productId, sellable.id);
+    productDetailState.productId = sellable.productId;
+    productDetailState.quantity = 1;
+    renderProductDetail();
+    productModalOverlay.querySelector('.product-modal').scrollTop = 0;
+    openModal(productModalOverlay);
+    return true;
+}
+
+/**
+ * Renders the product detail modal for productDetailState.productId.
+ */
+function renderProductDetail() {
+    const product = appState.products.find(p => p.id === productDetailState.productId);
+    if (!product) return;
+
+    renderProductDetailSummary(product);
+
+    const moreFromCategory = getMoreFromCategory(product);
+    productModalOverlay.querySelector('.more-from-category-title').textContent = `More from ${getCategoryLabel(product.category)}`;
+    productModalOverlay.querySelector('.more-from-category').classList.toggle('hidden', moreFromCategory.length === 0);
+    refreshProductCarousel(moreFromCategoryCarousel, moreFromCategory);
+
+    const boughtTogether = getFrequentlyBoughtTogether(product);
+    productModalOverlay.querySelector('.frequently-bought').classList.toggle('hidden', boughtTogether.length === 0);
+    refreshProductCarousel(frequentlyBoughtCarousel, boughtTogether);
+}
+
+/**
+ * Renders the image, price, size options and add-to-cart controls of the detail view
+ * for the selected size (the related product carousels are left alone).
+ * @param {Object} product - Product from appState.products.
+ */
+function renderProductDetailSummary(product) {
+    const variant = getSelectedVariantProduct(product);
+    const displayPrice = getProductDisplayPrice(variant);
+    const badge = getProductBadge(variant);
+    const isAvailable = isProductAvailable(variant);
+    const stockLabel = getStockLabel(variant);
+    const hasSizes = getProductVariants(product).length > 1;
+
+    setHtml(productDetailContent, html`
+        <div class="product-detail-image">
+            ${badge ? html`<div class="offer-badge">${badge}</div>` : ''}
+            ${renderWishlistToggleHtml(product)}
+            <img src="${variant.imageUrl}" alt="${product.name}">
+        </div>
+        <div class="product-detail-info">
+            <a href="#" class="product-detail-category" data-category="${product.category}">${getCategoryLabel(product.category)}</a>
+            <h2 id="product-detail-title">${product.name}</h2>
+            ${hasSizes ? renderVariantOptionsHtml(product, variant) : html`<p class="product-weight">${variant.weight}</p>`}
+            <div class="price-info">
+                <span class="product-price new-price">₹${displayPrice.toFixed(2)}</span>
+                ${isProductOnOffer(variant) ? html`<span class="product-price old-price">₹${variant.price.toFixed(2)}</span>` : ''}
+                ${renderUnitPriceHtml(variant)}
+            </div>
+            ${isAvailable ? '' : html`<p class="product-detail-unavailable">Not deliverable to ${getCityLabel()}</p>`}
+            ${stockLabel ? html`<p class="product-stock${isInStock(variant) ? ' product-stock-low' : ''}">${stockLabel}</p>` : ''}
+            <div class="product-detail-actions">
+                ${isInStock(variant) ? html`
+                    <div class="quantity-stepper">
+                        <button type="button" class="quantity-decrease" aria-label="Decrease quantity"><i class="fas fa-minus"></i></button>
+                        <input type="number" class="quantity-input" value="${productDetailState.quantity}" min="1" max="${getMaxOrderQuantity(variant)}" aria-label="Quantity">
+                        <button type="button" class="quantity-increase" aria-label="Increase quantity" ${productDetailState.quantity >= getMaxOrderQuantity(variant) ? 'disabled' : ''}><i class="fas fa-plus"></i></button>
+                    </div>
+                    <button class="btn btn-primary product-detail-add-btn" ${isAvailable ? '' : 'disabled'}>Add to Cart</button>
+                ` : renderStockAlertButtonHtml(variant)}
+                ${isSubscribable(product) && isAvailable ? html`
+                    <button type="button" class="btn btn-primary-outline product-detail-subscribe-btn"><i class="fas fa-calendar-alt"></i> Subscribe</button>
+                ` : ''}
+            </div>
+        </div>
+    `);
+}
+
+/**
+ * Sets the quantity in the product detail stepper, clamped to 1..getMaxOrderQuantity() of the selected size.
+ * @param {number} quantity
+ */
+function setProductDetailQuantity(quantity) {
+    const product = appState.products.find(p => p.id === productDetailState.productId);
+    const maxQuantity = product ? Math.max(1, getMaxOrderQuantity(getSelectedVariantProduct(product))) : 1;
+    const clamped = Math.min(maxQuantity, Math.max(1, Math.floor(quantity) || 1));
+    productDetailState.quantity = clamped;
+    productDetailContent.querySelector('.quantity-input').value = clamped;
+    productDetailContent.querySelector('.quantity-increase').disabled = clamped >= maxQuantity;
+}
+
+// Clicking a product's image or name opens its detail view
+document.addEventListener('click', (e) => {
+    const trigger = e.target.closest('.product-card img, .product-card h3');
+    const card = trigger && trigger.closest('.product-card[data-product-id]');
+    if (card) {
+        // Related products replace the open product so closing the modal returns to the page
+        navigate(`/product/${card.dataset.productId}`, { replace: getCurrentRoute().name === 'product' });
+    }
+});
+
+productDetailContent.addEventListener('click', (e) => {
+    const variantOption = e.target.closest('.variant-option');
+    if (variantOption) {
+        selectProductVariant(productDetailState.productId, variantOption.dataset.variantId);
+    } else if (e.target.closest('.product-detail-subscribe-btn')) {
+        const product = appState.products.find(p => p.id === productDetailState.productId);
+        if (product) openSubscriptions(getSelectedVariantProduct(product).id);
+    } else if (e.target.closest('.quantity-decrease')) {
+        setProductDetailQuantity(productDetailState.quantity - 1);
+    } else if (e.target.closest('.quantity-increase')) {
+        setProductDetailQuantity(productDetailState.quantity + 1);
+    } else if (e.target.closest('.product-detail-add-btn')) {
+        const parent = appState.products.find(p => p.id === productDetailState.productId);
+        const variantId = parent ? getSelectedVariantProduct(parent).id : productDetailState.productId;
+        const quantityBefore = getCartQuantity(variantId);
+        const product = addToCart(variantId, productDetailState.quantity);
+        const added = getCartQuantity(variantId) - quantityBefore;
+        if (product && added < productDetailState.quantity) {
+            showToast(`${added} × ${product.name} added to cart (limit of ${getMaxOrderQuantity(product)} per order).`, 'info');
+        } else if (product) {
+            showToast(`${added} × ${product.name} added to cart!`, 'success');
+        }
+    }
+});
+
+productDetailContent.addEventListener('change', (e) => {
+    if (e.target.classList.contains('quantity-input')) {
+        setProductDetailQuantity(parseInt(e.target.value, 10));
+    }
+});
+
+productModalOverlay.addEventListener('click', (e) => {
+    if (e.target === productModalOverlay) closeModal(productModalOverlay);
+});
+
+// --- Router ---
+// Hash routes for the storefront views, e.g. #/category/dairy-bakery, #/product/milk-1l,
+// #/search?q=atta, #/cart, #/orders, #/account, #/subscriptions. Overlay routes (product, cart) open on top of the
+// page without changing which view is shown underneath.
+const ROUTES = [
+    { name: 'home', pattern: /^\/?$/ },
+    { name: 'catalog', pattern: /^\/catalog$/ },
+    { name: 'category', pattern: /^\/category\/([\w-]+)$/ },
+    { name: 'product', pattern: /^\/product\/([\w-]+)$/, isOverlay: true },
+    { name: 'search', pattern: /^\/search$/ },
+    { name: 'cart', pattern: /^\/cart$/, isOverlay: true },
+    { name: 'orders', pattern: /^\/orders(?:\/([\w-]+))?$/ },
+    { name: 'account', pattern: /^\/account$/ },
+    { name: 'subscriptions', pattern: /^\/subscriptions$/ }
+];
+
+const routerState = {
+    basePath: '/' // Last non-overlay route, restored when an overlay closes
+};
+
+/**
+ * Parses a location hash into a route.
+ * @param {string} hash - Defaults to window.location.hash.
+ * @returns {{ name: string, id: string|null, query: URLSearchParams, isOverlay: boolean, path: string }}
+ */
+function getCurrentRoute(hash = window.location.hash) {
+    const path = hash.replace(/^#/, '') || '/';
+    const [pathname, queryString = ''] = path.split('?');
+    const query = new URLSearchParams(queryString);
+    for (const route of ROUTES) {
+        const match = route.pattern.exec(pathname);
+        if (match) {
+            return { name: route.name, id: match[1] ? decodeURIComponent(match[1]) : null, query, isOverlay: Boolean(route.isOverlay), path };
+        }
+    }
+    return { name: 'not-found', id: null, query, isOverlay: false, path };
+}
+
+/**
+ * Updates the URL hash without rendering. A pushed entry remembers the scroll
+ * position of the entry it leaves so back/forward can restore it.
+ * @param {string} path - Route path, e.g. '/category/dairy-bakery'.
+ * @param {boolean} replace - Replace the current history entry instead of pushing a new one.
+ */
+function setRoutePath(path, replace = false) {
+    const url = `${window.location.pathname}${window.location.search}#${path}`;
+    if (replace) {
+        history.replaceState(history.state, '', url);
+    } else {
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+        history.pushState({ inApp: true }, '', url);
+    }
+}
+
+/**
+ * Navigates to a route and renders it.
+ * @param {string} path
+ * @param {{ replace: boolean }} options
+ */
+function navigate(path, { replace = false } = {}) {
+    setRoutePath(path, replace);
+    syncViewsWithUrl();
+}
+
+/**
+ * Closes the product or cart overlay route, going back to the page underneath.
+ * @param {{ replace: boolean }} options - Replace the entry instead of going back in history
+ * (used when another navigation may follow in the same click).
+ */
+function leaveOverlayRoute({ replace = false } = {}) {
+    if (!getCurrentRoute().isOverlay) return;
+    if (!replace && history.state && history.state.inApp) {
+        history.back();
+    } else {
+        navigate(routerState.basePath, { replace: true });
+    }
+}
+
+/**
+ * Renders the views for the current route (initial load, navigation and back/forward).
+ */
+function syncViewsWithUrl() {
+    const route = getCurrentRoute();
+    if (route.name === 'not-found') {
+        navigate('/', { replace: true });
+        return;
+    }
+
+    // Any navigation closes the mobile sidebar
+    mobileSidebar.classList.remove('active');
+    document.body.classList.remove('no-scroll');
+
+    if (!route.isOverlay) {
+        routerState.basePath = route.path;
+        readCatalogStateFromUrl(route);
+        readSearchStateFromUrl(route);
+        readOrdersStateFromUrl(route);
+        readAccountStateFromUrl(route);
+        readSubscriptionsStateFromUrl(route);
+        renderCatalog();
+        renderSearchResults();
+        renderOrders();
+        renderAccount();
+        renderSubscriptions();
+    }
+
+    if (route.name === 'product') {
+        if (!openProductDetail(route.id)) navigate(routerState.basePath, { replace: true });
+    } else if (productModalOverlay.classList.contains('active')) {
+        closeModal(productModalOverlay);
+    }
+    cartDropdown.classList.toggle('active', route.name === 'cart');
+}
+
+/**
+ * Scrolls to the catalog, search, orders, account or subscriptions view if one is open.
+ */
+function scrollToOpenView() {
+    if (catalogState.isOpen) catalogSection.scrollIntoView();
+    if (searchState.isOpen) searchResultsSection.scrollIntoView();
+    if (ordersState.isOpen) ordersSection.scrollIntoView();
+    if (accountState.isOpen) accountSection.scrollIntoView();
+    if (subscriptionsState.isOpen) subscriptionsSection.scrollIntoView();
+}
+
+window.addEventListener('popstate', (e) => {
+    syncViewsWithUrl();
+    const scrollY = e.state && e.state.scrollY;
+    if (typeof scrollY === 'number') {
+        window.scrollTo(0, scrollY);
+    } else if (!getCurrentRoute().isOverlay) {
+        scrollToOpenView();
+    }
+});
+
+// Placeholder links (href="#") must not send the router back to the home route
+document.addEventListener('click', (e) => {
+    if (e.target.closest('a[href="#"]')) e.preventDefault();
+});
+
+if ('scrollRestoration' in history) {
+    history.scrollRestoration = 'manual'; // Scroll positions are restored by the popstate handler
+}
+
+// --- Offers & Promo Codes ---
+/**
+ * Returns the id offer rules know a product by. Rules list variant ids, and a catalog product with
+ * sizes is priced as its default size (see normalizeProductRecord).
+ * @param {Object} product - A catalog product or product size.
+ * @returns {string}
+ */
+function getOfferProductId(product) {
+    return product.variants && !product.productId ? product.variants[0].id : product.id;
+}
+
+/**
+ * Returns the product price rule (product-flat-off / product-percent-off) for a product, if any.
+ * @param {Object} product
+ * @returns {Object|undefined}
+ */
+function getProductPriceRule(product) {
+    const productId = getOfferProductId(product);
+    return offerRules.find(rule => PRODUCT_PRICE_RULE_TYPES.includes(rule.type) && rule.productIds.includes(productId));
+}
+
+/**
+ * Applies a product price rule to a regular price.
+ * @param {Object} rule
+ * @param {number} price
+ * @returns {number}
+ */
+function applyProductPriceRule(rule, price) {
+    const salePrice = rule.type === 'product-percent-off'
+        ? price * (1 - rule.percent / 100)
+        : price - rule.amount;
+    return Math.max(0, Math.round(salePrice * 100) / 100);
+}
+
+/**
+ * Describes a rule in a few words, used when it doesn't set its own badge or label.
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeOfferRule(rule) {
+    switch (rule.type) {
+        case 'bogo':
+            return `Buy ${rule.buy} Get ${rule.get}`;
+        case 'product-flat-off':
+        case 'category-flat-off':
+        case 'cart-flat-off':
+            return `FLAT ₹${rule.amount} OFF`;
+        default:
+            return `${rule.percent}% OFF`;
+    }
+}
+
+/**
+ * Returns the offer badge text for a product card, or null if the product has no deal.
+ * Badges come from product-specific offer rules first, then from the offer price.
+ * @param {Object} product
+ * @returns {string|null}
+ */
+function getProductBadge(product) {
+    const productId = getOfferProductId(product);
+    const rule = offerRules.find(r => r.productIds && r.productIds.includes(productId) && !r.couponCode);
+    if (rule) return rule.badge || describeOfferRule(rule);
+    if (isProductOnOffer(product)) return `${Math.round(getProductDiscountPercent(product))}% OFF`;
+    return null;
+}
+
+/**
+ * Returns true if the product has a deal (sale price or product offer such as BOGO).
+ * @param {Object} product
+ * @returns {boolean}
+ */
+function hasProductDeal(product) {
+    return getProductBadge(product) !== null;
+}
+
+/**
+ * Returns the cart items an offer rule applies to.
+ * @param {Object} rule
+ * @param {Object[]} items
+ * @returns {Object[]}
+ */
+function getQualifyingItems(rule, items) {
+    if (rule.productIds) {
+        return items.filter(item => rule.productIds.includes(item.id));
+    }
+    if (rule.categories) {
+        return items.filter(item => {
+            const product = findSellableProduct(item.id);
+            return product && rule.categories.includes(product.category);
+        });
+    }
+    return items;
+}
+
+/**
+ * Applies the cart offer rules to a list of cart items.
+ * Product price rules are not applied here; they are already part of the item prices.
+ * @param {Object[]} items - Cart items ({ id, price, quantity }).
+ * @param {string|null} couponCode - Coupon entered by the customer.
+ * @returns {{ lines: { ruleId: string, label: string, amount: number }[], total: number }}
+ */
+function applyOfferRules(items, couponCode = null) {
+    const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    const lines = [];
+
+    offerRules.forEach(rule => {
+        if (PRODUCT_PRICE_RULE_TYPES.includes(rule.type)) return;
+        if (rule.couponCode && rule.couponCode !== couponCode) return;
+        if (rule.minCartSubtotal && subtotal < rule.minCartSubtotal) return;
+
+        const qualifyingItems = getQualifyingItems(rule, items);
+        const qualifyingSubtotal = qualifyingItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (qualifyingSubtotal === 0) return;
+        if (rule.minQualifyingSubtotal && qualifyingSubtotal < rule.minQualifyingSubtotal) return;
+
+        let amount = 0;
+        switch (rule.type) {
+            case 'bogo':
+                qualifyingItems.forEach(item => {
+                    const freeUnits = Math.floor(item.quantity / (rule.buy + rule.get)) * rule.get;
+                    amount += freeUnits * item.price;
+                });
+                break;
+            case 'category-flat-off':
+            case 'cart-flat-off':
+                amount = rule.amount;
+                break;
+            case 'category-percent-off':
+            case 'cart-percent-off':
+                amount = qualifyingSubtotal * rule.percent / 100;
+                if (rule.maxDiscount) amount = Math.min(amount, rule.maxDiscount);
+                break;
+            default:
+                console.warn(`Unknown offer rule type "${rule.type}" in rule "${rule.id}".`);
+                return;
+        }
+
+        amount = Math.round(Math.min(amount, qualifyingSubtotal) * 100) / 100;
+        if (amount > 0) {
+            lines.push({ ruleId: rule.id, label: rule.label || describeOfferRule(rule), amount });
+        }
+    });
+
+    const total = Math.min(lines.reduce((sum, line) => sum + line.amount, 0), subtotal);
+    return { lines, total };
+}
+
+/**
+ * Applies a coupon code to the cart if an offer rule uses it.
+ * @param {string} code
+ */
+function applyCouponCode(code) {
+    const normalizedCode = code.trim().toUpperCase();
+    const rule = offerRules.find(r => r.couponCode === normalizedCode);
+    if (!rule) {
+        showToast(`"${code.trim()}" is not a valid coupon code.`, 'error');
+        return;
+    }
+
+    dispatch('coupon/set', { couponCode: normalizedCode });
+    const applied = getCartTotals().discountLines.some(line => line.ruleId === rule.id);
+    if (applied) {
+        showToast(`Coupon ${normalizedCode} applied: ${rule.label}.`, 'success');
+    } else {
+        showToast(`Coupon ${normalizedCode} saved. ${rule.label} will apply once your cart qualifies.`, 'info');
+    }
+}
+
+function removeCouponCode() {
+    dispatch('coupon/set', { couponCode: null });
+    showToast('Coupon removed.', 'info');
+}
+
+couponForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (couponInput.value.trim()) {
+        applyCouponCode(couponInput.value);
+        couponInput.value = '';
+    }
+});
+
+document.querySelector('.remove-coupon-btn').addEventListener('click', removeCouponCode);
+
+// --- Delivery Pricing & Availability ---
+/**
+ * Returns the pricing and availability settings for a city (falls back to the default city).
+ * @param {string} city
+ * @returns {Object}
+ */
+function getCityDeliveryConfig(city = appState.deliveryCity) {
+    return deliveryPricing[city] || deliveryPricing[DEFAULT_DELIVERY_CITY];
+}
+
+/**
+ * Returns the display name of a delivery city, e.g. "Bangalore".
+ * @param {string} city
+ * @returns {string}
+ */
+function getCityLabel(city = appState.deliveryCity) {
+    const option = deliveryLocationSelect.querySelector(`option[value="${city}"]`);
+    return option ? option.textContent : city;
+}
+
+/**
+ * Checks a 6-digit PIN code and that it belongs to the city's delivery area.
+ * @param {string} pincode
+ * @param {string} city
+ * @returns {boolean}
+ */
+function isPincodeInCity(pincode, city) {
+    if (!/^[1-9]\d{5}$/.test(pincode)) return false;
+    return getCityDeliveryConfig(city).pincodePrefixes.some(prefix => pincode.startsWith(prefix));
+}
+
+/**
+ * Returns true if the product can be delivered to the city.
+ * Products listed in unavailableProductIds are unavailable in every size; variant ids block one size.
+ * @param {Object} product - A product, product size or cart item (only id is required for cart items).
+ * @param {string} city
+ * @returns {boolean}
+ */
+function isProductAvailable(product, city = appState.deliveryCity) {
+    const config = getCityDeliveryConfig(city);
+    const catalogProduct = product.category ? product : findSellableProduct(product.id) || product;
+    if ([catalogProduct.id, catalogProduct.productId].some(id => config.unavailableProductIds.includes(id))) return false;
+    return !config.unavailableCategories.includes(catalogProduct.category);
+}
+
+/**
+ * Returns the cart items that can't be delivered to the current city.
+ * @returns {Object[]}
+ */
+function getUnavailableCartItems() {
+    return appState.cart.filter(item => !isProductAvailable(item));
+}
+
+/**
+ * Returns true if a delivery slot starts within the peak hours.
+ * @param {Object} slot
+ * @returns {boolean}
+ */
+function isPeakSlot(slot) {
+    const startHour = new Date(slot.start).getHours();
+    return DELIVERY_PEAK_HOURS.some(([from, to]) => startHour >= from && startHour < to);
+}
+
+/**
+ * Returns true if a delivery slot is a late-night slot.
+ * @param {Object} slot
+ * @returns {boolean}
+ */
+function isLateNightSlot(slot) {
+    return new Date(slot.start).getHours() >= LATE_NIGHT_START_HOUR;
+}
+
+/**
+ * Returns the peak-hour and late-night surcharges for a delivery slot.
+ * @param {Object|null} slot
+ * @param {string} city
+ * @returns {{ label: string, amount: number }[]}
+ */
+function getSlotSurcharges(slot, city = appState.deliveryCity) {
+    if (!slot) return [];
+    const config = getCityDeliveryConfig(city);
+    const surcharges = [];
+    if (isPeakSlot(slot)) surcharges.push({ label: 'Peak-hour Surcharge', amount: config.surgeFee });
+    if (isLateNightSlot(slot)) surcharges.push({ label: 'Late-night Fee', amount: config.lateNightFee });
+    return surcharges;
+}
+
+/**
+ * Calculates the delivery charges for an order.
+ * The base fee is waived once the amount (after discounts) reaches the city's free-delivery
+ * threshold; slot surcharges apply regardless. An empty cart has no delivery charges.
+ * @param {number} amount - Cart subtotal after offer discounts.
+ * @param {Object} options
+ * @param {string} options.city
+ * @param {Object|null} options.slot - Chosen delivery slot; surcharges are only known once it is set.
+ * @returns {{ baseFee: number, surcharges: { label: string, amount: number }[], fee: number, freeDeliveryThreshold: number, amountToFreeDelivery: number }}
+ */
+function getDeliveryQuote(amount, { city = appState.deliveryCity, slot = null } = {}) {
+    const config = getCityDeliveryConfig(city);
+    if (amount <= 0) {
+        return { baseFee: 0, surcharges: [], fee: 0, freeDeliveryThreshold: config.freeDeliveryThreshold, amountToFreeDelivery: config.freeDeliveryThreshold };
+    }
+    const amountToFreeDelivery = Math.max(0, config.freeDeliveryThreshold - amount);
+    const baseFee = amountToFreeDelivery > 0 ? config.baseFee : 0;
+    const surcharges = getSlotSurcharges(slot, city);
+    return {
+        baseFee,
+        surcharges,
+        fee: baseFee + surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0),
+        freeDeliveryThreshold: config.freeDeliveryThreshold,
+        amountToFreeDelivery
+    };
+}
+
+/**
+ * Builds summary-line markup for the delivery fee and any slot surcharges.
+ * @param {{ baseFee: number, surcharges: { label: string, amount: number }[] }} delivery
+ * @returns {{ markup: string }}
+ */
+function renderDeliveryLinesHtml(delivery) {
+    const baseFeeText = delivery.baseFee > 0 ? `₹${delivery.baseFee.toFixed(2)}` : 'FREE';
+    return html`
+        <div class="summary-line"><span>Delivery Fee:</span><span>${baseFeeText}</span></div>
+        ${delivery.surcharges.map(surcharge => html`
+            <div class="summary-line"><span>${surcharge.label}:</span><span>₹${surcharge.amount.toFixed(2)}</span></div>
+        `)}
+    `;
+}
+
+/**
+ * Shows how far the cart is from free delivery in the cart dropdown.
+ * @param {Object} totals - Result of getCartTotals().
+ */
+function renderFreeDeliveryProgress(totals) {
+    const { freeDeliveryThreshold, amountToFreeDelivery } = totals.delivery;
+    if (appState.cart.length === 0) {
+        freeDeliveryProgress.classList.add('hidden');
+        return;
+    }
+    freeDeliveryProgress.classList.remove('hidden');
+    freeDeliveryProgress.querySelector('.free-delivery-text').textContent = amountToFreeDelivery > 0
+        ? `Add ₹${amountToFreeDelivery.toFixed(2)} more for FREE delivery in ${getCityLabel()}`
+        : `Yay! You get FREE delivery in ${getCityLabel()}`;
+    const progress = Math.min(100, ((freeDeliveryThreshold - amountToFreeDelivery) / freeDeliveryThreshold) * 100);
+    const bar = freeDeliveryProgress.querySelector('.free-delivery-bar');
+    bar.style.width = `${progress}%`;
+    bar.parentElement.setAttribute('aria-valuenow', Math.round(progress));
+}
+
+/**
+ * Builds the add-to-cart button for a product card, a disabled button if the product
+ * can't be delivered to the current city, or "Notify Me" if it is out of stock.
+ * @param {Object} product
+ * @returns {{ markup: string }}
+ */
+function renderAddToCartButtonHtml(product) {
+    if (!isProductAvailable(product)) {
+        return html`<button class="btn btn-add-to-cart btn-unavailable" disabled>Not in ${getCityLabel()}</button>`;
+    }
+    if (!isInStock(product)) return renderStockAlertButtonHtml(product);
+    return html`<button class="btn btn-add-to-cart" data-product-id="${product.id}">Add to Cart</button>`;
+}
+
+/**
+ * Changes the delivery city, saves it, and re-renders prices, availability and the cart.
+ * @param {string} city
+ */
+function setDeliveryCity(city) {
+    if (!deliveryPricing[city]) return;
+    deliveryLocationSelect.value = city;
+    localStorage.setItem('motherMilkPalaceDeliveryCity', city);
+    dispatch('delivery/setCity', { city });
+    renderFeaturedProducts();
+    renderCatalog();
+    renderSearchResults();
+}
+
+/**
+ * Loads the saved delivery city from localStorage.
+ */
+function loadDeliveryCityFromLocalStorage() {
+    const savedCity = localStorage.getItem('motherMilkPalaceDeliveryCity');
+    dispatch('delivery/setCity', { city: deliveryPricing[savedCity] ? savedCity : DEFAULT_DELIVERY_CITY });
+    deliveryLocationSelect.value = appState.deliveryCity;
+}
+
+// --- Checkout ---
+const CHECKOUT_STEPS = ['address', 'slot', 'review', 'payment'];
+const DELIVERY_SLOT_WINDOWS = [[7, 9], [9, 11], [11, 13], [13, 15], [15, 17], [17, 19], [19, 21], [21, 23]]; // 24h start/end hours
+const DELIVERY_SLOT_LEAD_MINUTES = 60; // A slot must start at least this long after ordering
+
+const paymentMethodLabels = {
+    cod: 'Cash on Delivery',
+    upi: 'UPI',
+    card: 'Credit / Debit Card'
+};
+
+const checkoutState = {
+    step: 'address',
+    address: null,
+    slot: null,
+    isPlacingOrder: false
+};
+
+/**
+ * Payment adapters back the payment step. An adapter has a name and a
+ * pay(request) method returning a Promise that resolves to { transactionId }
+ * or rejects with an Error whose message can be shown to the customer.
+ * request: { orderId, amount, currency, method, details }
+ *
+ * The local stub approves every payment after a short delay, except the
+ * card number 4000 0000 0000 0002 and the UPI ID fail@upi, which it declines
+ * so failure handling can be tried without a real gateway.
+ */
+const localStubPaymentAdapter = {
+    name: 'local-stub',
+    pay(request) {
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                const { method, details } = request;
+                if ((method === 'card' && details.cardNumber === '4000000000000002') ||
+                    (method === 'upi' && details.upiId === 'fail@upi')) {
+                    reject(new Error('Payment was declined. Please try another payment method.'));
+                    return;
+                }
+                resolve({ transactionId: `STUB-${Date.now().toString(36).toUpperCase()}` });
+            }, 800);
+        });
+    }
+};
+
+let paymentAdapter = localStubPaymentAdapter;
+
+/**
+ * Replaces the adapter used by the payment step (e.g. a real gateway or a test double).
+ * @param {{ name: string, pay: Function }} adapter
+ */
+function setPaymentAdapter(adapter) {
+    if (!adapter || typeof adapter.pay !== 'function') {
+        throw new Error('A payment adapter must implement pay(request).');
+    }
+    paymentAdapter = adapter;
+}
+
+/**
+ * Formats an hour of the day (0-23) as e.g. "7 AM" or "1 PM".
+ * @param {number} hour
+ * @returns {string}
+ */
+function formatSlotHour(hour) {
+    const suffix = hour >= 12 ? 'PM' : 'AM';
+    return `${hour % 12 === 0 ? 12 : hour % 12} ${suffix}`;
+}
+
+/**
+ * Builds the delivery slots for today and tomorrow.
+ * @param {Date} now
+ * @returns {{ id: string, dayLabel: string, windowLabel: string, start: string, end: string, available: boolean }[]}
+ */
+function getDeliverySlots(now = new Date()) {
+    const earliestStart = now.getTime() + DELIVERY_SLOT_LEAD_MINUTES * 60 * 1000;
+    const slots = [];
+    ['Today', 'Tomorrow'].forEach((dayLabel, dayOffset) => {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+        DELIVERY_SLOT_WINDOWS.forEach(([startHour, endHour]) => {
+            const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHour);
+            const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), endHour);
+            slots.push({
+                id: `${day.getFullYear()}-${day.getMonth() + 1}-${day.getDate()}-${startHour}`,
+                dayLabel,
+                windowLabel: `${formatSlotHour(startHour)} - ${formatSlotHour(endHour)}`,
+                start: start.toISOString(),
+                end: end.toISOString(),
+                available: start.getTime() >= earliestStart
+            });
+        });
+    });
+    return slots;
+}
+
+/**
+ * Checks a card number with the Luhn algorithm.
+ * @param {string} cardNumber - Digits only.
+ * @returns {boolean}
+ */
+function isValidCardNumber(cardNumber) {
+    if (!/^\d{12,19}$/.test(cardNumber)) return false;
+    let sum = 0;
+    cardNumber.split('').reverse().forEach((digit, index) => {
+        let value = parseInt(digit, 10);
+        if (index % 2 === 1) {
+            value *= 2;
+            if (value > 9) value -= 9;
+        }
+        sum += value;
+    });
+    return sum % 10 === 0;
+}
+
+/**
+ * Checks an MM/YY card expiry that has not passed yet.
+ * @param {string} expiry
+ * @returns {boolean}
+ */
+function isValidCardExpiry(expiry) {
+    const match = /^(0[1-9]|1[0-2])\/(\d{2})$/.exec(expiry);
+    if (!match) return false;
+    const expiryEnd = new Date(2000 + parseInt(match[2], 10), parseInt(match[1], 10), 1); // First day after expiry month
+    return expiryEnd > new Date();
+}
+
+/**
+ * Formats a delivery address on one line.
+ * @param {Object} address
+ * @returns {string}
+ */
+function formatAddress(address) {
+    const city = deliveryLocationSelect.querySelector(`option[value="${address.city}"]`);
+    return [address.line, address.landmark, `${city ? city.textContent : address.city} - ${address.pincode}`]
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Opens the checkout modal at the address step.
+ */
+function openCheckout() {
+    checkoutState.step = 'address';
+    checkoutState.slot = null;
+    checkoutState.isPlacingOrder = false;
+
+    // Prefill from the last address used, else the default saved address, and the current user
+    const address = checkoutState.address || getDefaultAddress() || {};
+    renderCheckoutSavedAddresses(address.id);
+    fillCheckoutAddressForm(address);
+    checkoutPaymentForm.reset();
+
+    renderCheckoutStep();
+    openModal(checkoutModalOverlay);
+}
+
+/**
+ * Lists the customer's saved addresses in the address step's "Deliver To" picker.
+ * @param {string|null} selectedId
+ */
+function renderCheckoutSavedAddresses(selectedId) {
+    const addresses = loadAddressBook();
+    checkoutAddressForm.querySelector('.checkout-saved-address').classList.toggle('hidden', addresses.length === 0);
+    setHtml(checkoutSavedAddressSelect, html`${addresses.map(address => html`
+        <option value="${address.id}">${address.label}${address.isDefault ? ' (Default)' : ''} - ${address.line}, ${getCityLabel(address.city)}</option>
+    `)}<option value="">Enter a new address</option>`);
+    checkoutSavedAddressSelect.value = addresses.some(address => address.id === selectedId) ? selectedId : '';
+}
+
+/**
+ * Fills the address step. A saved address in another city moves the delivery location there.
+ * @param {Object} address - Empty for a new address.
+ */
+function fillCheckoutAddressForm(address) {
+    checkoutAddressForm.querySelector('#checkout-name').value = address.name || (appState.currentUser && appState.currentUser.name) || '';
+    checkoutAddressForm.querySelector('#checkout-phone').value = address.phone || (appState.currentUser && appState.currentUser.phone) || '';
+    checkoutAddressForm.querySelector('#checkout-address-line').value = address.line || '';
+    checkoutAddressForm.querySelector('#checkout-landmark').value = address.landmark || '';
+    checkoutAddressForm.querySelector('#checkout-pincode').value = address.pincode || '';
+    checkoutCitySelect.value = deliveryLocationSelect.value; // The city always follows the header location
+    if (deliveryPricing[address.city] && address.city !== checkoutCitySelect.value) {
+        checkoutCitySelect.value = address.city;
+        checkoutCitySelect.dispatchEvent(new Event('change'));
+    }
+}
+
+/**
+ * Validates a delivery address from checkout or the address book.
+ * @param {{ name: string, phone: string, line: string, pincode: string, city: string }} address
+ * @returns {string|null} A message for the customer, or null if the address is valid.
+ */
+function validateAddress(address) {
+    if (address.name.length < 3) return 'Please enter the recipient\'s full name.';
+    if (!/^\d{10}$/.test(address.phone)) return 'Please enter a valid 10-digit mobile number.';
+    if (address.line.length < 10) return 'Please enter your complete address.';
+    if (!/^[1-9]\d{5}$/.test(address.pincode)) return 'Please enter a valid 6-digit PIN code.';
+    if (!isPincodeInCity(address.pincode, address.city)) {
+        return `PIN code ${address.pincode} is outside our ${getCityLabel(address.city)} delivery area.`;
+    }
+    return null;
+}
+
+/**
+ * Reads and validates the address step. Shows a toast and returns null if invalid.
+ * @returns {Object|null}
+ */
+function readCheckoutAddress() {
+    const address = {
+        name: checkoutAddressForm.querySelector('#checkout-name').value.trim(),
+        phone: checkoutAddressForm.querySelector('#checkout-phone').value.trim(),
+        line: checkoutAddressForm.querySelector('#checkout-address-line').value.trim(),
+        landmark: checkoutAddressForm.querySelector('#checkout-landmark').value.trim(),
+        pincode: checkoutAddressForm.querySelector('#checkout-pincode').value.trim(),
+        city: checkoutCitySelect.value,
+        id: checkoutSavedAddressSelect.value || null // Saved address it came from, if unchanged
+    };
+
+    const error = validateAddress(address);
+    if (error) {
+        showToast(error, 'error');
+        return null;
+    }
+    return address;
+}
+
+/**
+ * Reads and validates the payment step. Shows a toast and returns null if invalid.
+ * Only the last four card digits are kept outside the payment request.
+ * @returns {{ method: string, details: Object }|null}
+ */
+function readCheckoutPayment() {
+    const method = checkoutPaymentForm.querySelector('input[name="payment-method"]:checked').value;
+
+    if (method === 'upi') {
+        const upiId = checkoutPaymentForm.querySelector('#checkout-upi-id').value.trim().toLowerCase();
+        if (!/^[\w.-]{2,}@[a-z]{2,}$/.test(upiId)) {
+            showToast('Please enter a valid UPI ID (e.g. yourname@bank).', 'error');
+            return null;
+        }
+        return { method, details: { upiId } };
+    }
+
+    if (method === 'card') {
+        const cardNumber = checkoutPaymentForm.querySelector('#checkout-card-number').value.replace(/[\s-]/g, '');
+        const expiry = checkoutPaymentForm.querySelector('#checkout-card-expiry').value.trim();
+        const cvv = checkoutPaymentForm.querySelector('#checkout-card-cvv').value.trim();
+        if (!isValidCardNumber(cardNumber)) {
+            showToast('Please enter a valid card number.', 'error');
+            return null;
+        }
+        if (!isValidCardExpiry(expiry)) {
+            showToast('Please enter a valid, unexpired card expiry date (MM/YY).', 'error');
+            return null;
+        }
+        if (!/^\d{3,4}$/.test(cvv)) {
+            showToast('Please enter the 3 or 4 digit CVV.', 'error');
+            return null;
+        }
+        return { method, details: { cardNumber, expiry, cvv } };
+    }
+
+    return { method, details: {} };
+}
+
+function renderCheckoutSlots() {
+    const slots = getDeliverySlots();
+    checkoutSlotList.replaceChildren();
+    ['Today', 'Tomorrow'].forEach(dayLabel => {
+        const group = document.createElement('fieldset');
+        group.classList.add('checkout-slot-day');
+        setHtml(group, html`<legend>${dayLabel}</legend>`);
+        slots.filter(slot => slot.dayLabel === dayLabel).forEach(slot => {
+            const label = document.createElement('label');
+            label.classList.add('checkout-slot');
+            if (!slot.available) label.classList.add('unavailable');
+            const checked = checkoutState.slot && checkoutState.slot.id === slot.id ? 'checked' : '';
+            const disabled = slot.available ? '' : 'disabled';
+            const surcharge = getSlotSurcharges(slot).reduce((sum, fee) => sum + fee.amount, 0);
+            const surchargeHtml = surcharge > 0 ? html` <span class="checkout-slot-fee">+₹${surcharge}</span>` : '';
+            setHtml(label, html`<input type="radio" name="delivery-slot" value="${slot.id}" ${checked} ${disabled}> ${slot.windowLabel}${surchargeHtml}`);
+            group.appendChild(label);
+        });
+        checkoutSlotList.appendChild(group);
+    });
+}
+
+function renderCheckoutReview() {
+    const totals = getCartTotals();
+    const reviewStep = checkoutModalOverlay.querySelector('.checkout-step[data-step="review"]');
+
+    setHtml(reviewStep.querySelector('.checkout-review-address'), html`
+        <h4><i class="fas fa-map-marker-alt"></i> Delivering to ${checkoutState.address.name}</h4>
+        <p>${formatAddress(checkoutState.address)}</p>
+        <p><i class="fas fa-clock"></i> ${checkoutState.slot.dayLabel}, ${checkoutState.slot.windowLabel}</p>
+    `);
+
+    const itemsList = reviewStep.querySelector('.checkout-review-items');
+    itemsList.replaceChildren();
+    appState.cart.forEach(item => {
+        const li = document.createElement('li');
+        setHtml(li, html`
+            <img src="${item.image}" alt="">
+            <span class="checkout-item-name">${item.name} &times; ${item.quantity}</span>
+            <span class="checkout-item-total">₹${(item.price * item.quantity).toFixed(2)}</span>
+        `);
+        itemsList.appendChild(li);
+    });
+
+    setHtml(reviewStep.querySelector('.checkout-review-summary'), html`
+        <div class="summary-line"><span>Subtotal (${totals.itemCount} items):</span><span>₹${totals.subtotal.toFixed(2)}</span></div>
+        ${renderDiscountLinesHtml(totals.discountLines)}
+        ${renderDeliveryLinesHtml(totals.delivery)}
+        <div class="summary-line total-line"><span>Total:</span><span>₹${totals.total.toFixed(2)}</span></div>
+    `);
+}
+
+function renderCheckoutPaymentFields() {
+    const method = checkoutPaymentForm.querySelector('input[name="payment-method"]:checked').value;
+    checkoutPaymentForm.querySelectorAll('.checkout-payment-fields').forEach(fields => {
+        fields.classList.toggle('hidden', fields.dataset.method !== method);
+    });
+    checkoutPaymentForm.querySelector('.checkout-payable').textContent = `Amount payable: ₹${getCartTotals().total.toFixed(2)}`;
+}
+
+/**
+ * Shows the current checkout step and updates the step indicator and buttons.
+ */
+function renderCheckoutStep() {
+    const stepIndex = CHECKOUT_STEPS.indexOf(checkoutState.step);
+    checkoutModalOverlay.querySelectorAll('.checkout-step').forEach(step => {
+        step.classList.toggle('hidden', step.dataset.step !== checkoutState.step);
+    });
+    checkoutModalOverlay.querySelectorAll('.checkout-steps li').forEach((indicator, index) => {
+        indicator.classList.toggle('active', index === stepIndex);
+        indicator.classList.toggle('completed', stepIndex === -1 || index < stepIndex);
+    });
+
+    if (checkoutState.step === 'slot') renderCheckoutSlots();
+    if (checkoutState.step === 'review') renderCheckoutReview();
+    if (checkoutState.step === 'payment') renderCheckoutPaymentFields();
+
+    const isConfirmation = checkoutState.step === 'confirmation';
+    checkoutBackBtn.classList.toggle('hidden', stepIndex <= 0);
+    checkoutNextBtn.disabled = checkoutState.isPlacingOrder;
+    if (isConfirmation) {
+        checkoutNextBtn.textContent = 'Continue Shopping';
+    } else if (checkoutState.step === 'payment') {
+        checkoutNextBtn.textContent = checkoutState.isPlacingOrder ? 'Processing Payment...' : 'Place Order';
+    } else {
+        checkoutNextBtn.textContent = 'Continue';
+    }
+}
+
+/**
+ * Checks that the chosen delivery slot can still be booked.
+ * @returns {boolean}
+ */
+function isCheckoutSlotAvailable() {
+    return Boolean(checkoutState.slot) &&
+        getDeliverySlots().some(slot => slot.id === checkoutState.slot.id && slot.available);
+}
+
+/**
+ * Closes checkout and opens the cart so the customer can fix what stopped the order.
+ * @param {string} message
+ */
+function returnToCart(message) {
+    closeModal(checkoutModalOverlay);
+    updateCartUI();
+    navigate('/cart');
+    showToast(message, 'error');
+}
+
+/**
+ * Copies the cart and checkout details being paid for, so the order doesn't pick up changes made
+ * (here or in another tab) while the payment is processing.
+ * @returns {{ items: Object[], couponCode: string|null, totals: Object, address: Object, slot: Object, customerEmail: string }}
+ */
+function snapshotCheckout() {
+    const items = appState.cart.map(item => ({ ...item }));
+    return {
+        items,
+        couponCode: appState.couponCode,
+        totals: getCartTotals(items, appState.couponCode),
+        address: { ...checkoutState.address },
+        slot: { ...checkoutState.slot },
+        customerEmail: appState.currentUser.email
+    };
+}
+
+/**
+ * Creates the order record for a checkout snapshot.
+ * @param {Object} checkout - From snapshotCheckout().
+ * @param {{ method: string }} payment
+ * @param {string|null} transactionId
+ * @param {string} orderId
+ * @returns {Object}
+ */
+function createOrderRecord(checkout, payment, transactionId, orderId) {
+    const { totals } = checkout;
+    return {
+        id: orderId,
+        items: checkout.items,
+        subtotal: totals.subtotal,
+        discounts: totals.discountLines,
+        discountTotal: totals.discountTotal,
+        couponCode: checkout.couponCode,
+        deliveryFee: totals.deliveryFee,
+        deliveryBaseFee: totals.delivery.baseFee,
+        deliverySurcharges: totals.delivery.surcharges,
+        total: totals.total,
+        address: checkout.address,
+        slot: checkout.slot,
+        paymentMethod: payment.method,
+        transactionId,
+        customerEmail: checkout.customerEmail,
+        status: 'placed',
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Takes the ordered quantities out of a cart. Items whose quantity went up since keep the difference.
+ * @param {Object[]} cart
+ * @param {Object[]} orderedItems
+ * @returns {Object[]} A new cart array.
+ */
+function removeOrderedItems(cart, orderedItems) {
+    return cart
+        .map(item => {
+            const ordered = orderedItems.find(orderedItem => orderedItem.id === item.id);
+            return ordered ? { ...item, quantity: item.quantity - ordered.quantity } : item;
+        })
+        .filter(item => item.quantity > 0);
+}
+
+/**
+ * Removes an order's items (and its coupon) from the cart of the customer who placed it: the cart in
+ * this tab, or their saved cart if they logged out while the payment was processing.
+ * @param {Object} order
+ */
+function clearOrderedItemsFromCart(order) {
+    if (appState.currentUser && appState.currentUser.email === order.customerEmail) {
+        dispatch('cart/removeItems', { items: order.items, couponCode: order.couponCode });
+        return;
+    }
+    const schema = getCartSchema(order.customerEmail);
+    const savedCart = readStoredRecord(schema);
+    if (!savedCart) return;
+    writeStoredRecord(schema, {
+        items: removeOrderedItems(savedCart.items, order.items),
+        couponCode: savedCart.couponCode === order.couponCode ? null : savedCart.couponCode,
+        revision: createSyncRevision(savedCart.revision)
+    });
+}
+
+/**
+ * Saves an order record to the order history of the customer who placed it.
+ * @param {Object} order
+ */
+function saveOrder(order) {
+    const orders = loadOrders(order.customerEmail);
+    orders.push(order);
+    saveOrders(order.customerEmail, orders);
+}
+
+/**
+ * Charges the customer through the payment adapter (except cash on delivery), then records the
+ * order and removes the ordered items from the cart.
+ */
+async function placeOrder() {
+    const payment = readCheckoutPayment();
+    if (!payment) return;
+    if (!appState.isLoggedIn) {
+        closeModal(checkoutModalOverlay);
+        showToast('Please log in to place your order.', 'info');
+        openModal(loginModalOverlay);
+        return;
+    }
+    if (appState.cart.length === 0) {
+        showToast('Your cart is empty. Please add items to checkout.', 'error');
+        closeModal(checkoutModalOverlay);
+        return;
+    }
+    // The city, stock and quantity limits can change during checkout, and the slot may have passed while the
+    // customer was filling in the form
+    if (getUnavailableCartItems().length > 0) {
+        returnToCart(`Some items in your cart can't be delivered to ${getCityLabel()}. Please remove them to checkout.`);
+        return;
+    }
+    if (getOverLimitCartItems().length > 0) {
+        returnToCart('Some items in your cart are out of stock or above the quantity limit. Please update them to checkout.');
+        return;
+    }
+    if (!isCheckoutSlotAvailable()) {
+        returnToCart('Your delivery slot is no longer available. Please checkout again to choose another.');
+        return;
+    }
+
+    const checkout = snapshotCheckout();
+    const orderId = `MMP${Date.now().toString(36).toUpperCase()}`;
+    let transactionId = null;
+    checkoutState.isPlacingOrder = true;
+    renderCheckoutStep();
+
+    try {
+        if (payment.method !== 'cod') {
+            const result = await paymentAdapter.pay({
+                orderId,
+                amount: checkout.totals.total,
+                currency: 'INR',
+                method: payment.method,
+                details: payment.details
+            });
+            transactionId = result.transactionId;
+        }
+    } catch (error) {
+        checkoutState.isPlacingOrder = false;
+        renderCheckoutStep();
+        showToast(error.message || 'Payment failed. Please try again.', 'error');
+        return;
+    }
+
+    const order = createOrderRecord(checkout, payment, transactionId, orderId);
+    saveOrder(order);
+    checkoutState.slot = null;
+    clearOrderedItemsFromCart(order);
+
+    checkoutState.isPlacingOrder = false;
+    checkoutState.step = 'confirmation';
+    checkoutModalOverlay.querySelector('.checkout-confirmation-text').textContent =
+        `Your order ${order.id} for ₹${order.total.toFixed(2)} (${paymentMethodLabels[order.paymentMethod]}) will be delivered ${order.slot.dayLabel.toLowerCase()}, ${order.slot.windowLabel}.`;
+    renderCheckoutStep();
+    showToast('Order placed successfully!', 'success');
+}
+
+checkoutNextBtn.addEventListener('click', () => {
+    switch (checkoutState.step) {
+        case 'address': {
+            const address = readCheckoutAddress();
+            if (!address) return;
+            checkoutState.address = address;
+            checkoutState.step = 'slot';
+            break;
+        }
+        case 'slot': {
+            const selected = checkoutSlotList.querySelector('input[name="delivery-slot"]:checked');
+            if (!selected) {
+                showToast('Please choose a delivery slot.', 'error');
+                return;
+            }
+            checkoutState.slot = getDeliverySlots().find(slot => slot.id === selected.value && slot.available) || null;
+            if (!checkoutState.slot) {
+                showToast('That slot is no longer available. Please choose another.', 'error');
+                renderCheckoutSlots();
+                return;
+            }
+            checkoutState.step = 'review';
+            break;
+        }
+        case 'review':
+            checkoutState.step = 'payment';
+            break;
+        case 'payment':
+            placeOrder();
+            return;
+        default:
+            closeModal(checkoutModalOverlay);
+            return;
+    }
+    renderCheckoutStep();
+});
+
+checkoutBackBtn.addEventListener('click', () => {
+    const stepIndex = CHECKOUT_STEPS.indexOf(checkoutState.step);
+    if (stepIndex > 0 && !checkoutState.isPlacingOrder) {
+        checkoutState.step = CHECKOUT_STEPS[stepIndex - 1];
+        renderCheckoutStep();
+    }
+});
+
+checkoutPaymentForm.addEventListener('change', (e) => {
+    if (e.target.name === 'payment-method') renderCheckoutPaymentFields();
+});
+
+// Both forms are advanced with the Continue button; Enter in a field does the same
+[checkoutAddressForm, checkoutPaymentForm].forEach(form => {
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        checkoutNextBtn.click();
+    });
+});
+
+checkoutSavedAddressSelect.addEventListener('change', () => {
+    const address = loadAddressBook().find(saved => saved.id === checkoutSavedAddressSelect.value);
+    fillCheckoutAddressForm(address || {});
+});
+
+// Editing a picked saved address turns it into a new address
+checkoutAddressForm.addEventListener('input', (e) => {
+    if (e.target !== checkoutSavedAddressSelect) checkoutSavedAddressSelect.value = '';
+});
+
+// Changing the city during checkout changes the delivery location for the whole site
+checkoutCitySelect.addEventListener('change', () => {
+    deliveryLocationSelect.value = checkoutCitySelect.value;
+    deliveryLocationSelect.dispatchEvent(new Event('change'));
+});
+
+checkoutModalOverlay.addEventListener('click', (e) => {
+    if (e.target === checkoutModalOverlay && !checkoutState.isPlacingOrder) closeModal(checkoutModalOverlay);
+});
+
+
+// --- User Menu (Login/Logout UI) ---
+// Rendered from appState on every login state change; its handlers are attached once below.
+
+/**
+ * Renders the header and sidebar account buttons and the user menu for the current login state.
+ */
+function updateLoginUI() {
+    const user = appState.isLoggedIn ? appState.currentUser : null;
+    const label = user ? `Hello, ${user.name || 'User'}` : 'Login / Register';
+    [btnLogin, btnSidebarLogin].forEach(button => {
+        setHtml(button, html`<i class="fas fa-user-circle"></i> ${label}`);
+        button.classList.toggle('logged-in', Boolean(user));
+    });
+    btnLogin.setAttribute('aria-haspopup', user ? 'menu' : 'dialog');
+    if (!user) closeUserMenu();
+}
+
+function closeUserMenu() {
+    userDropdown.classList.remove('active');
+    btnLogin.setAttribute('aria-expanded', 'false');
+}
+
+btnLogin.addEventListener('click', (e) => {
+    if (!appState.isLoggedIn) {
+        openModal(loginModalOverlay);
+        return;
+    }
+    e.stopPropagation(); // Keep the outside-click handler below from closing the menu right away
+    const isOpen = userDropdown.classList.toggle('active');
+    btnLogin.setAttribute('aria-expanded', String(isOpen));
+});
+
+btnSidebarLogin.addEventListener('click', () => {
+    mobileSidebar.classList.remove('active'); // Close sidebar first
+    document.body.classList.remove('no-scroll');
+    if (appState.isLoggedIn) {
+        openAccount();
+    } else {
+        openModal(loginModalOverlay);
+    }
+});
+
+userDropdown.addEventListener('click', (e) => {
+    if (e.target.closest('.btn-logout')) {
+        handleLogout(e);
+    } else if (e.target.closest('.btn-my-orders')) {
+        closeUserMenu();
+        openOrders();
+    } else if (e.target.closest('.btn-my-subscriptions')) {
+        closeUserMenu();
+        openSubscriptions();
+    } else if (e.target.closest('.btn-my-profile')) {
+        closeUserMenu();
+        openAccount();
+    }
+});
+
+// Close user dropdown when clicking outside
+document.addEventListener('click', (e) => {
+    if (!userAuthContainer.contains(e.target)) closeUserMenu();
+});
+
+function handleLogout(e) {
+    e.preventDefault();
+    const session = readStoredSession();
+    if (session) {
+        authBackend.logout(session.token).catch(error => console.warn('Could not end the session on the server:', error));
+    }
+    endSession();
+    showToast('You have been logged out.', 'info');
+}
+
+subscribeToLoginState(updateLoginUI);
+
+
+// --- Verification Flows (Phone OTP & Password Reset) ---
+const verificationState = {
+    pendingRegistration: null, // Details from the register form, waiting for the phone code
+    resetEmail: null // Email the password reset code was requested for
+};
+const resendCountdownTimers = new Map(); // Resend button -> interval id
+
+/**
+ * Checks that a one-time code has the expected number of digits.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isValidVerificationCode(code) {
+    return new RegExp(`^\\d{${VERIFICATION_CODE_LENGTH}}$`).test(code);
+}
+
+/**
+ * Disables a "Resend code" button and counts down until another code may be requested.
+ * @param {HTMLButtonElement} button
+ * @param {string} resendAt - ISO date from requestCode().
+ */
+function startResendCountdown(button, resendAt) {
+    clearInterval(resendCountdownTimers.get(button));
+    const update = () => {
+        const seconds = Math.ceil((new Date(resendAt).getTime() - Date.now()) / 1000);
+        button.disabled = seconds > 0;
+        button.textContent = seconds > 0 ? `Resend code (${seconds}s)` : 'Resend code';
+        if (seconds <= 0) clearInterval(resendCountdownTimers.get(button));
+    };
+    update();
+    resendCountdownTimers.set(button, setInterval(update, 1000));
+}
+
+/**
+ * Switches the register modal between the details form and the phone code form.
+ * @param {'details'|'otp'} step
+ */
+function showRegisterStep(step) {
+    registerForm.classList.toggle('hidden', step !== 'details');
+    registerOtpForm.classList.toggle('hidden', step !== 'otp');
+    registerModalOverlay.querySelectorAll('.or-divider, .social-login').forEach(el => el.classList.toggle('hidden', step !== 'details'));
+    if (step === 'otp') {
+        registerOtpForm.reset();
+        registerOtpForm.querySelector('.otp-target').textContent = verificationState.pendingRegistration.phone;
+        registerOtpForm.querySelector('#register-otp').focus();
+    }
+}
+
+/**
+ * Switches the forgot password modal between requesting a code and setting the new password.
+ * @param {'request'|'reset'} step
+ */
+function showPasswordResetStep(step) {
+    forgotPasswordRequestForm.classList.toggle('hidden', step !== 'request');
+    forgotPasswordResetForm.classList.toggle('hidden', step !== 'reset');
+    if (step === 'reset') {
+        forgotPasswordResetForm.reset();
+        forgotPasswordResetForm.querySelector('.otp-target').textContent = verificationState.resetEmail;
+        forgotPasswordResetForm.querySelector('#reset-code').focus();
+    } else {
+        forgotPasswordRequestForm.querySelector('#forgot-email').focus();
+    }
+}
+
+/**
+ * Requests a code from the auth backend and starts the resend countdown.
+ * @param {'verify-phone'|'reset-password'} purpose
+ * @param {string} target
+ * @param {HTMLButtonElement} resendButton
+ * @returns {Promise<boolean>} Whether the code was sent (errors are shown as toasts).
+ */
+async function sendVerificationCode(purpose, target, resendButton) {
+    try {
+        const { resendAt } = await authBackend.requestCode({ purpose, target });
+        startResendCountdown(resendButton, resendAt);
+        return true;
+    } catch (error) {
+        showToast(error.message, 'error');
+        return false;
+    }
+}
+
+registerOtpForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const phoneCode = registerOtpForm.querySelector('#register-otp').value.trim();
+    if (!isValidVerificationCode(phoneCode)) {
+        showToast(`Please enter the ${VERIFICATION_CODE_LENGTH}-digit code we sent to your phone.`, 'error');
+        return;
+    }
+
+    const verifyButton = registerOtpForm.querySelector('.register-verify-btn');
+    verifyButton.disabled = true;
+    try {
+        const session = await authBackend.register({ ...verificationState.pendingRegistration, phoneCode });
+        verificationState.pendingRegistration = null;
+        startSession(session, false); // New accounts stay logged in for this browser session
+        closeModal(registerModalOverlay);
+        showToast('Registration successful! Welcome to Mother Milk Palace!', 'success');
+        registerForm.reset(); // Clear form
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        verifyButton.disabled = false;
+    }
+});
+
+registerOtpForm.querySelector('.btn-resend-code').addEventListener('click', async (e) => {
+    if (!verificationState.pendingRegistration) return;
+    const { phone } = verificationState.pendingRegistration;
+    if (await sendVerificationCode('verify-phone', phone, e.currentTarget)) {
+        showToast(`A new code has been sent to ${phone}.`, 'info');
+    }
+});
+
+registerOtpForm.querySelector('.btn-change-phone').addEventListener('click', () => {
+    showRegisterStep('details');
+    registerForm.querySelector('#register-phone').focus();
+});
+
+forgotPasswordLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    const email = loginForm.querySelector('#login-email').value;
+    closeModal(loginModalOverlay);
+    openModal(forgotPasswordModalOverlay);
+    forgotPasswordRequestForm.querySelector('#forgot-email').value = email; // Save retyping it
+});
+
+forgotPasswordBackToLoginLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    closeModal(forgotPasswordModalOverlay);
+    openModal(loginModalOverlay);
+});
+
+forgotPasswordModalOverlay.addEventListener('click', (e) => {
+    if (e.target === forgotPasswordModalOverlay) closeModal(forgotPasswordModalOverlay);
+});
+
+forgotPasswordRequestForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = forgotPasswordRequestForm.querySelector('#forgot-email').value.trim();
+    if (!isValidEmail(email)) {
+        showToast('Please enter a valid email address.', 'error');
+        return;
+    }
+
+    const sendButton = forgotPasswordRequestForm.querySelector('.forgot-send-btn');
+    sendButton.disabled = true;
+    if (await sendVerificationCode('reset-password', email, forgotPasswordResetForm.querySelector('.btn-resend-code'))) {
+        verificationState.resetEmail = email;
+        showPasswordResetStep('reset');
+    }
+    sendButton.disabled = false;
+});
+
+forgotPasswordResetForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const code = forgotPasswordResetForm.querySelector('#reset-code').value.trim();
+    const password = forgotPasswordResetForm.querySelector('#reset-password').value;
+    const confirmPassword = forgotPasswordResetForm.querySelector('#reset-confirm-password').value;
+
+    if (!isValidVerificationCode(code)) {
+        showToast(`Please enter the ${VERIFICATION_CODE_LENGTH}-digit code from your email.`, 'error');
+        return;
+    }
+    if (password.length < AUTH_PASSWORD_MIN_LENGTH) {
+        showToast(`Password must be at least ${AUTH_PASSWORD_MIN_LENGTH} characters long.`, 'error');
+        return;
+    }
+    if (password !== confirmPassword) {
+        showToast('Passwords do not match.', 'error');
+        return;
+    }
+
+    const resetButton = forgotPasswordResetForm.querySelector('.reset-submit-btn');
+    resetButton.disabled = true;
+    try {
+        const email = verificationState.resetEmail;
+        await authBackend.resetPassword({ email, code, password });
+        verificationState.resetEmail = null;
+        // Resetting signs out every session of the account, including this one
+        if (appState.currentUser && normalizeEmail(appState.currentUser.email) === normalizeEmail(email)) {
+            endSession();
+        }
+        closeModal(forgotPasswordModalOverlay);
+        openModal(loginModalOverlay);
+        loginForm.querySelector('#login-email').value = email;
+        loginForm.querySelector('#login-password').focus();
+        showToast('Your password has been reset. Please log in with your new password.', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        resetButton.disabled = false;
+    }
+});
+
+forgotPasswordResetForm.querySelector('.btn-resend-code').addEventListener('click', async (e) => {
+    if (!verificationState.resetEmail) return;
+    if (await sendVerificationCode('reset-password', verificationState.resetEmail, e.currentTarget)) {
+        showToast('A new code is on its way to your email.', 'info');
+    }
+});
+
+forgotPasswordResetForm.querySelector('.btn-change-email').addEventListener('click', () => {
+    showPasswordResetStep('request');
+});
+
+
+// --- Modal Functions ---
+function openModal(modalOverlay) {
+    modalOverlay.classList.add('active');
+    document.body.classList.add('no-scroll');
+    // Reset forms when opening
+    if (modalOverlay === loginModalOverlay) {
+        loginForm.reset();
+        loginForm.querySelector('#login-email').focus();
+    } else if (modalOverlay === registerModalOverlay) {
+        registerForm.reset();
+        verificationState.pendingRegistration = null;
+        showRegisterStep('details');
+        registerForm.querySelector('#register-name').focus();
+    } else if (modalOverlay === forgotPasswordModalOverlay) {
+        forgotPasswordRequestForm.reset();
+        verificationState.resetEmail = null;
+        showPasswordResetStep('request');
+    }
+}
+
+function closeModal(modalOverlay) {
+    modalOverlay.classList.remove('active');
+    document.body.classList.remove('no-scroll');
+    if (modalOverlay === checkoutModalOverlay) {
+        checkoutState.slot = null; // A slot is only held while checking out
+    }
+    if (modalOverlay === productModalOverlay && getCurrentRoute().name === 'product') {
+        leaveOverlayRoute();
+    }
+}
+
+// --- Dynamic Product Rendering for Featured/Offer Sections ---
+const FEATURED_SKELETON_COUNT = 8;
+
+/**
+ * Builds a product card from catalog data. Used by the offers grid, catalog, search
+ * results and product carousels so every card looks and behaves the same.
+ * @param {Object} product - Product from appState.products.
+ * @param {{ className: string, lazy: boolean }} options - Extra card class; lazy-load the image (default true).
+ * @returns {HTMLElement}
+ */
+function createProductCard(product, { className = '', lazy = true } = {}) {
+    const productCard = document.createElement('div');
+    productCard.classList.add('product-card');
+    if (className) productCard.classList.add(className);
+    productCard.dataset.productId = product.id;
+    renderProductCard(productCard, product, { lazy });
+    return productCard;
+}
+
+/**
+ * Renders a product card's contents for the size chosen in its size selector.
+ * @param {HTMLElement} productCard
+ * @param {Object} product - Product from appState.products.
+ * @param {{ lazy: boolean }} options - Lazy-load the image (default true).
+ */
+function renderProductCard(productCard, product, { lazy = true } = {}) {
+    const variant = getSelectedVariantProduct(product);
+
+    // Badge text comes from the offer rules (e.g. "Buy 1 Get 1") or the offer discount
+    const badge = getProductBadge(variant);
+    const displayPrice = getProductDisplayPrice(variant);
+    const oldPriceHtml = isProductOnOffer(variant) ? html`<span class="product-price old-price">₹${variant.price.toFixed(2)}</span>` : '';
+    const stockLabel = getStockLabel(variant);
+    productCard.classList.toggle('out-of-stock', !isInStock(variant));
+
+    setHtml(productCard, html`
+        ${badge ? html`<div class="offer-badge">${badge}</div>` : ''}
+        ${renderWishlistToggleHtml(product)}
+        <img src="${variant.imageUrl}" alt="${product.name}"${lazy ? html` loading="lazy"` : ''}>
+        <h3>${product.name}</h3>
+        <div class="price-info">
+            <span class="product-price new-price">₹${displayPrice.toFixed(2)}</span>
+            ${oldPriceHtml}
+            ${renderUnitPriceHtml(variant)}
+        </div>
+        ${stockLabel ? html`<p class="product-stock${isInStock(variant) ? ' product-stock-low' : ''}">${stockLabel}</p>` : ''}
+        <div class="product-actions">
+            ${renderVariantSelectHtml(product, variant)}
+            ${renderAddToCartButtonHtml(variant)}
+        </div>
+    `);
+}
+
+/**
+ * Renders products into the featured product grid.
+ * This function can be extended to filter by category or apply search.
+ */
+function renderFeaturedProducts() {
+    const productGrid = document.querySelector('.featured-products-section .product-grid');
+    if (!productGrid) return;
+
+    productGrid.replaceChildren(); // Clear existing content
+
+    if (productsState.status === 'loading') {
+        productGrid.setAttribute('aria-busy', 'true');
+        setHtml(productGrid, html`${Array.from({ length: FEATURED_SKELETON_COUNT }, () => html`
+            <div class="product-card skeleton-card" aria-hidden="true">
+                <div class="skeleton skeleton-image"></div>
+                <div class="skeleton skeleton-line"></div>
+                <div class="skeleton skeleton-line short"></div>
+            </div>
+        `)}`);
+        return;
+    }
+    productGrid.removeAttribute('aria-busy');
+
+    if (productsState.status === 'error') {
+        setHtml(productGrid, html`
+            <div class="products-error" role="alert">
+                <i class="fas fa-wifi"></i>
+                <p>We couldn't load today's deals.</p>
+                <button class="btn btn-primary btn-retry-products">Try Again</button>
+            </div>
+        `);
+        return;
+    }
+
+    // Products with a deal (sale price or product offer) for the "Today's Best Deals & Offers" section
+    const offerProducts = appState.products.filter(hasProductDeal);
+
+    // Limit to a certain number if needed, or dynamically load more
+    const productsToDisplay = offerProducts.slice(0, 12); // Display top 12 offers
+
+    productsToDisplay.forEach(product => {
+        productGrid.appendChild(createProductCard(product, { className: 'offer-card', lazy: false }));
+    });
+}
+
+document.addEventListener('click', (e) => {
+    if (e.target.closest('.btn-retry-products')) loadProducts();
+});
+
+// --- Search Suggestions Logic ---
+/**
+ * Renders the suggestions listbox for a query.
+ * Each option shows the product thumbnail, name, price and category.
+ * @param {string} query
+ */
+function filterSearchSuggestions(query) {
+    const filteredProducts = searchProducts(query)
+        .slice(0, 10) // Limit to top 10 suggestions
+        .map(result => result.product);
+
+    searchSuggestions.replaceChildren();
+    searchInput.removeAttribute('aria-activedescendant');
+    const ul = document.createElement('ul');
+    ul.id = 'search-suggestions-list';
+    ul.setAttribute('role', 'listbox');
+    ul.setAttribute('aria-label', 'Product suggestions');
+
+    if (filteredProducts.length > 0) {
+        filteredProducts.forEach((product, index) => {
+            const li = document.createElement('li');
+            li.id = `search-suggestion-${index}`;
+            li.setAttribute('role', 'option');
+            li.setAttribute('aria-selected', 'false');
+            li.dataset.value = product.name;
+            li.dataset.productId = product.id;
+            const oldPriceHtml = isProductOnOffer(product) ? html`<span class="old-price">₹${product.price.toFixed(2)}</span>` : '';
+            setHtml(li, html`
+                <img src="${product.imageUrl}" alt="">
+                <div class="suggestion-details">
+                    <span class="suggestion-name">${product.name}</span>
+                    <span class="suggestion-category">${getCategoryLabel(product.category)}</span>
+                </div>
+                <div class="suggestion-price">
+                    <span class="new-price">₹${getProductDisplayPrice(product).toFixed(2)}</span>
+                    ${oldPriceHtml}
+                </div>
+            `);
+            ul.appendChild(li);
+        });
+        searchSuggestions.appendChild(ul);
+        searchSuggestionsStatus.textContent = `${filteredProducts.length} suggestions available. Use up and down arrows to review, Enter to select.`;
+    } else {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.setAttribute('aria-disabled', 'true');
+        li.classList.add('no-suggestions');
+        li.textContent = 'No results found.';
+        ul.appendChild(li);
+        searchSuggestions.appendChild(ul);
+        searchSuggestionsStatus.textContent = 'No suggestions found.';
+    }
+}
+
+function openSearchSuggestions() {
+    if (!searchSuggestions.querySelector('[role="listbox"]')) return;
+    searchSuggestions.classList.add('active');
+    searchInput.setAttribute('aria-expanded', 'true');
+}
+
+function closeSearchSuggestions() {
+    searchSuggestions.classList.remove('active');
+    searchInput.setAttribute('aria-expanded', 'false');
+    setActiveSearchSuggestion(-1);
+}
+
+/**
+ * Returns the suggestion options that can be navigated to and selected.
+ * @returns {HTMLElement[]}
+ */
+function getSelectableSearchSuggestions() {
+    return Array.from(searchSuggestions.querySelectorAll('[role="option"]:not([aria-disabled="true"])'));
+}
+
+/**
+ * Marks the option at the given index as active (-1 clears the active option).
+ * Focus stays in the input; aria-activedescendant tells assistive tech which option is active.
+ * @param {number} index
+ */
+function setActiveSearchSuggestion(index) {
+    const options = getSelectableSearchSuggestions();
+    options.forEach((option, i) => {
+        const isActive = i === index;
+        option.classList.toggle('active', isActive);
+        option.setAttribute('aria-selected', String(isActive));
+    });
+
+    if (index > -1 && options[index]) {
+        searchInput.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Puts the chosen suggestion in the search box and shows its results.
+ * @param {HTMLElement} option
+ */
+function selectSearchSuggestion(option) {
+    searchInput.value = option.dataset.value;
+    clearTimeout(searchTimeout);
+    closeSearchSuggestions();
+    openSearchResults(searchInput.value);
+}
+
+// --- Carousel Initialization (Owl Carousel) ---
+function initializeCarousels() {
+    // Categories Carousel
+    $('.categories-carousel').owlCarousel({
+        loop: true,
+        margin: 20,
+        nav: true,
+        dots: true,
+        autoplay: true,
+        autoplayTimeout: 4000,
+        autoplayHoverPause: true,
+        responsive: {
+            0: {
+                items: 1,
+                stagePadding: 40 // See more of next item
+            },
+            600: {
+                items: 2,
+                stagePadding: 20
+            },
+            768: {
+                items: 3
+            },
+            992: {
+                items: 4
+            },
+            1200: {
+                items: 5
+            }
+        }
+    });
+
+    // Testimonials Carousel
+    $('.testimonials-carousel').owlCarousel({
+        loop: true,
+        margin: 30,
+        nav: false,
+        dots: true,
+        autoplay: true,
+        autoplayTimeout: 5000,
+        autoplayHoverPause: true,
+        responsive: {
+            0: {
+                items: 1
+            },
+            768: {
+                items: 2
+            },
+            992: {
+                items: 3
+            }
+        }
+    });
+
+    // Partners Carousel
+    $('.partners-carousel').owlCarousel({
+        loop: true,
+        margin: 30,
+        nav: false,
+        dots: false,
+        autoplay: true,
+        autoplayTimeout: 3000,
+        autoplayHoverPause: true,
+        responsive: {
+            0: {
+                items: 2
+            },
+            600: {
+                items: 3
+            },
+            768: {
+                items: 4
+            },
+            992: {
+                items: 5
+            },
+            1200: {
+                items: 6
+            }
+        }
+    });
+
+    // Product Carousels (product detail modal)
+    $('.product-carousel').owlCarousel(productCarouselOptions);
+}
+
+const productCarouselOptions = {
+    loop: false,
+    margin: 16,
+    nav: true,
+    dots: false,
+    responsive: {
+        0: {
+            items: 2
+        },
+        600: {
+            items: 3
+        },
+        992: {
+            items: 4
+        }
+    }
+};
+
+/**
+ * Replaces the products in a product carousel and re-initializes it with the shared options.
+ * @param {HTMLElement} carousel - A .product-carousel element.
+ * @param {Object[]} products
+ */
+function refreshProductCarousel(carousel, products) {
+    const $carousel = $(carousel);
+    $carousel.trigger('destroy.owl.carousel');
+    carousel.replaceChildren();
+    products.forEach(product => carousel.appendChild(createProductCard(product)));
+    $carousel.owlCarousel(productCarouselOptions);
+}
+
+// Initial calls to load state and update UI
+loadDeliveryCityFromLocalStorage();
+loadLoginStateFromLocalStorage();
+loadCartFromLocalStorage(); // Needs the customer: each has their own cart
+updateCartUI(); // First render; after this the store re-renders the cart when it changes
+loadWishlistFromLocalStorage();
+renderFeaturedProducts();
+initializeCarousels(); // Ensure carousels are initialized on page load
+
+// --- Product Catalog (View All Products) ---
+const CATALOG_PAGE_SIZE = 24;
+
+const catalogState = {
+    isOpen: false,
+    categories: [], // Selected category ids
+    minPrice: null,
+    maxPrice: null,
+    onOffer: false,
+    sort: 'featured',
+    page: 1
+};
+
+/**
+ * Returns the display name for a category id.
+ * @param {string} categoryId
+ * @returns {string}
+ */
+function getCategoryLabel(categoryId) {
+    return categoryLabels[categoryId] || categoryId.replace(/-/g, ' ');
+}
+
+/**
+ * Returns true if the product is currently sold below its regular price.
+ * @param {Object} product
+ * @returns {boolean}
+ */
+function isProductOnOffer(product) {
+    return getProductDisplayPrice(product) < product.price;
+}
+
+/**
+ * Returns the price the customer actually pays for a product.
+ * A product price rule in offerRules takes precedence over the catalog offerPrice.
+ * @param {Object} product
+ * @returns {number}
+ */
+function getProductDisplayPrice(product) {
+    const priceRule = getProductPriceRule(product);
+    if (priceRule) return applyProductPriceRule(priceRule, product.price);
+    return product.offerPrice && product.offerPrice < product.price ? product.offerPrice : product.price;
+}
+
+/**
+ * Returns the offer discount of a product as a percentage (0 when not on offer).
+ * @param {Object} product
+ * @returns {number}
+ */
+function getProductDiscountPercent(product) {
+    if (!isProductOnOffer(product)) return 0;
+    return ((product.price - getProductDisplayPrice(product)) / product.price) * 100;
+}
+
+/**
+ * Applies the price-range and offer filters of the catalog state.
+ * Category selection is applied separately so facet counts can ignore it.
+ * @param {Object[]} products
+ * @param {Object} state - catalogState or a compatible object.
+ * @returns {Object[]}
+ */
+function applyCatalogPriceFilters(products, state) {
+    return products.filter(product => {
+        const price = getProductDisplayPrice(product);
+        if (state.minPrice !== null && price < state.minPrice) return false;
+        if (state.maxPrice !== null && price > state.maxPrice) return false;
+        if (state.onOffer && !hasProductDeal(product)) return false;
+        return true;
+    });
+}
+
+/**
+ * Returns a sorted copy of the given products.
+ * @param {Object[]} products
+ * @param {string} sort - One of the #catalog-sort option values.
+ * @returns {Object[]}
+ */
+function sortCatalogProducts(products, sort) {
+    const sorted = [...products];
+    switch (sort) {
+        case 'price-asc':
+            sorted.sort((a, b) => getProductDisplayPrice(a) - getProductDisplayPrice(b));
+            break;
+        case 'price-desc':
+            sorted.sort((a, b) => getProductDisplayPrice(b) - getProductDisplayPrice(a));
+            break;
+        case 'discount-desc':
+            sorted.sort((a, b) => getProductDiscountPercent(b) - getProductDiscountPercent(a));
+            break;
+        case 'unit-price-asc': // Within each unit group (see UNIT_PRICE_SORT_ORDER)
+            sorted.sort((a, b) => {
+                const unitPriceA = getComparableUnitPrice(a);
+                const unitPriceB = getComparableUnitPrice(b);
+                return unitPriceA.group - unitPriceB.group || unitPriceA.price - unitPriceB.price;
+            });
+            break;
+        case 'name-asc':
+            sorted.sort((a, b) => a.name.localeCompare(b.name));
+            break;
+        case 'name-desc':
+            sorted.sort((a, b) => b.name.localeCompare(a.name));
+            break;
+        default:
+            break; // 'featured' keeps the catalog order
+    }
+    return sorted;
+}
+
+/**
+ * Returns the products matching the current catalog filters, sorted.
+ * @returns {Object[]}
+ */
+function getCatalogResults() {
+    let results = applyCatalogPriceFilters(appState.products, catalogState);
+    if (catalogState.categories.length > 0) {
+        results = results.filter(product => catalogState.categories.includes(product.category));
+    }
+    return sortCatalogProducts(results, catalogState.sort);
+}
+
+/**
+ * Reads catalog filters from the current route into catalogState.
+ * Examples: #/category/dairy-bakery?sort=price-asc&page=2
+ *           #/catalog?category=dairy-bakery,beverages&min=50&max=300&offer=1
+ * @param {Object} route - Result of getCurrentRoute().
+ */
+function readCatalogStateFromUrl(route = getCurrentRoute()) {
+    const params = route.query;
+    const parsePrice = (value) => {
+        const number = parseFloat(value);
+        return isNaN(number) || number < 0 ? null : number;
+    };
+
+    catalogState.isOpen = route.name === 'catalog' || route.name === 'category';
+    catalogState.categories = (route.name === 'category' ? route.id : params.get('category') || '')
+        .split(',')
+        .filter(categoryId => categoryLabels[categoryId]);
+    catalogState.minPrice = parsePrice(params.get('min'));
+    catalogState.maxPrice = parsePrice(params.get('max'));
+    catalogState.onOffer = params.get('offer') === '1';
+    const sort = params.get('sort');
+    catalogState.sort = Array.from(catalogSortSelect.options).some(option => option.value === sort) ? sort : 'featured';
+    catalogState.page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+}
+
+/**
+ * Builds the route path for catalogState. A single category gets its own
+ * #/category/<id> route; other combinations use #/catalog?category=a,b.
+ * @returns {string}
+ */
+function getCatalogRoutePath() {
+    if (!catalogState.isOpen) return '/';
+    const params = new URLSearchParams();
+    const isSingleCategory = catalogState.categories.length === 1;
+    if (catalogState.categories.length > 1) params.set('category', catalogState.categories.join(','));
+    if (catalogState.minPrice !== null) params.set('min', catalogState.minPrice);
+    if (catalogState.maxPrice !== null) params.set('max', catalogState.maxPrice);
+    if (catalogState.onOffer) params.set('offer', '1');
+    if (catalogState.sort !== 'featured') params.set('sort', catalogState.sort);
+    if (catalogState.page > 1) params.set('page', catalogState.page);
+    const query = params.toString();
+    const path = isSingleCategory ? `/category/${catalogState.categories[0]}` : '/catalog';
+    return `${path}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Writes catalogState into the page URL so filtered views can be shared.
+ * @param {boolean} replace - Replace the current history entry instead of pushing a new one.
+ */
+function writeCatalogStateToUrl(replace = false) {
+    setRoutePath(getCatalogRoutePath(), replace);
+}
+
+/**
+ * Opens the catalog with the given filters (unspecified filters are reset).
+ * @param {Object} filters - Optional { categories, minPrice, maxPrice, onOffer, sort }.
+ */
+function openCatalog(filters = {}) {
+    catalogState.isOpen = true;
+    catalogState.categories = filters.categories || [];
+    catalogState.minPrice = filters.minPrice ?? null;
+    catalogState.maxPrice = filters.maxPrice ?? null;
+    catalogState.onOffer = Boolean(filters.onOffer);
+    catalogState.sort = filters.sort || 'featured';
+    catalogState.page = 1;
+    navigate(getCatalogRoutePath());
+    catalogSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeCatalog() {
+    navigate('/');
+    document.getElementById('offers-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Updates the catalog after a filter or sort change, going back to page 1.
+ */
+function handleCatalogFilterChange() {
+    catalogState.page = 1;
+    writeCatalogStateToUrl(true);
+    renderCatalog();
+}
+
+/**
+ * Renders the category checkboxes with the number of products each would show.
+ */
+function renderCatalogFacets() {
+    const counts = {};
+    applyCatalogPriceFilters(appState.products, catalogState).forEach(product => {
+        counts[product.category] = (counts[product.category] || 0) + 1;
+    });
+
+    catalogCategoryFacets.replaceChildren();
+    Object.keys(categoryLabels).forEach(categoryId => {
+        const li = document.createElement('li');
+        const checked = catalogState.categories.includes(categoryId) ? 'checked' : '';
+        setHtml(li, html`
+            <input type="checkbox" id="facet-${categoryId}" value="${categoryId}" ${checked}>
+            <label for="facet-${categoryId}">${getCategoryLabel(categoryId)}</label>
+            <span class="facet-count">${counts[categoryId] || 0}</span>
+        `);
+        catalogCategoryFacets.appendChild(li);
+    });
+}
+
+/**
+ * Renders page links for the catalog results.
+ * @param {number} totalPages
+ */
+function renderCatalogPagination(totalPages) {
+    catalogPagination.replaceChildren();
+    if (totalPages <= 1) return;
+
+    const addPageButton = (label, page, { disabled = false, current = false } = {}) => {
+        const button = document.createElement('button');
+        button.classList.add('catalog-page-btn');
+        button.dataset.page = page;
+        setHtml(button, html`${label}`);
+        button.disabled = disabled;
+        if (current) {
+            button.classList.add('active');
+            button.setAttribute('aria-current', 'page');
+        }
+        catalogPagination.appendChild(button);
+    };
+
+    addPageButton(html`<i class="fas fa-chevron-left"></i>`, catalogState.page - 1, { disabled: catalogState.page === 1 });
+    for (let page = 1; page <= totalPages; page++) {
+        addPageButton(String(page), page, { current: page === catalogState.page });
+    }
+    addPageButton(html`<i class="fas fa-chevron-right"></i>`, catalogState.page + 1, { disabled: catalogState.page === totalPages });
+}
+
+/**
+ * Renders the catalog section from catalogState.
+ */
+function renderCatalog() {
+    catalogSection.classList.toggle('hidden', !catalogState.isOpen);
+    if (!catalogState.isOpen) return;
+
+    // Keep the filter controls in sync with the state (e.g. after back/forward)
+    catalogMinPriceInput.value = catalogState.minPrice ?? '';
+    catalogMaxPriceInput.value = catalogState.maxPrice ?? '';
+    catalogOnOfferCheckbox.checked = catalogState.onOffer;
+    catalogSortSelect.value = catalogState.sort;
+    renderCatalogFacets();
+
+    const results = getCatalogResults();
+    const totalPages = Math.max(1, Math.ceil(results.length / CATALOG_PAGE_SIZE));
+    catalogState.page = Math.min(catalogState.page, totalPages);
+    const start = (catalogState.page - 1) * CATALOG_PAGE_SIZE;
+    const pageResults = results.slice(start, start + CATALOG_PAGE_SIZE);
+
+    catalogGrid.replaceChildren();
+    pageResults.forEach(product => {
+        catalogGrid.appendChild(createProductCard(product));
+    });
+
+    catalogResultCount.textContent = results.length > 0
+        ? `Showing ${start + 1}-${start + pageResults.length} of ${results.length} products`
+        : 'Showing 0 products';
+    catalogEmptyMessage.classList.toggle('hidden', results.length > 0);
+    renderCatalogPagination(totalPages);
+}
+
+catalogCategoryFacets.addEventListener('change', (e) => {
+    const categoryId = e.target.value;
+    if (e.target.checked) {
+        catalogState.categories.push(categoryId);
+    } else {
+        catalogState.categories = catalogState.categories.filter(id => id !== categoryId);
+    }
+    handleCatalogFilterChange();
+});
+
+[catalogMinPriceInput, catalogMaxPriceInput].forEach(input => {
+    input.addEventListener('change', () => {
+        const min = parseFloat(catalogMinPriceInput.value);
+        const max = parseFloat(catalogMaxPriceInput.value);
+        catalogState.minPrice = isNaN(min) || min < 0 ? null : min;
+        catalogState.maxPrice = isNaN(max) || max < 0 ? null : max;
+        handleCatalogFilterChange();
+    });
+});
+
+catalogOnOfferCheckbox.addEventListener('change', () => {
+    catalogState.onOffer = catalogOnOfferCheckbox.checked;
+    handleCatalogFilterChange();
+});
+
+catalogSortSelect.addEventListener('change', () => {
+    catalogState.sort = catalogSortSelect.value;
+    handleCatalogFilterChange();
+});
+
+document.querySelector('.catalog-clear-filters').addEventListener('click', () => {
+    openCatalog({ sort: catalogState.sort });
+});
+
+document.querySelector('.catalog-close-btn').addEventListener('click', closeCatalog);
+
+catalogPagination.addEventListener('click', (e) => {
+    const button = e.target.closest('.catalog-page-btn');
+    if (button && !button.disabled) {
+        catalogState.page = parseInt(button.dataset.page, 10);
+        writeCatalogStateToUrl();
+        renderCatalog();
+        catalogSection.scrollIntoView({ behavior: 'smooth' });
+    }
+});
+
+// "View All Offers" opens the catalog filtered to discounted products
+document.querySelector('.btn-view-all-products').addEventListener('click', () => {
+    openCatalog({ onOffer: true, sort: 'discount-desc' });
+});
+
+// Category links in the navigation dropdowns and category carousel open the catalog for that category
+document.addEventListener('click', (e) => {
+    const categoryLink = e.target.closest('a[data-category]');
+    if (categoryLink && categoryLabels[categoryLink.dataset.category]) {
+        e.preventDefault();
+        openCatalog({ categories: [categoryLink.dataset.category] });
+    }
+});
+
+// --- Product Search (results view) ---
+const SEARCH_NAME_WEIGHT = 10; // Any name match outranks the best category match
+const SEARCH_CATEGORY_WEIGHT = 3;
+
+// Hindi/Hinglish and English words that should find each other
+const searchSynonymGroups = [
+    ['aloo', 'potato', 'potatoes'],
+    ['pyaz', 'pyaaz', 'kanda', 'onion', 'onions'],
+    ['tamatar', 'tomato', 'tomatoes'],
+    ['doodh', 'dudh', 'milk'],
+    ['dahi', 'curd', 'yogurt', 'yoghurt'],
+    ['makhan', 'makkhan', 'butter'],
+    ['cheeni', 'chini', 'shakkar', 'sugar'],
+    ['chawal', 'chaawal', 'rice'],
+    ['atta', 'aata', 'flour'],
+    ['dal', 'daal', 'lentil', 'lentils'],
+    ['anda', 'ande', 'egg', 'eggs'],
+    ['chai', 'tea'],
+    ['tel', 'oil'],
+    ['murgi', 'murga', 'chicken'],
+    ['machli', 'machhli', 'fish'],
+    ['jhinga', 'prawn', 'prawns'],
+    ['seb', 'apple', 'apples'],
+    ['aam', 'mango', 'mangoes'],
+    ['shahad', 'shahed', 'honey'],
+    ['badam', 'almond', 'almonds'],
+    ['kaju', 'cashew', 'cashews'],
+    ['anjeer', 'fig', 'figs'],
+    ['khajoor', 'dates'],
+    ['haldi', 'turmeric'],
+    ['masala', 'spices', 'spice'],
+    ['mithai', 'sweets', 'sweet'],
+    ['sabun', 'soap'],
+    ['namkeen', 'bhujia', 'snacks'],
+    ['matar', 'peas'],
+    ['bhutta', 'makka', 'corn'],
+    ['mirch', 'chilli', 'chili'],
+    ['chamach', 'spoon', 'spoons']
+];
+
+const searchSynonymIndex = {};
+searchSynonymGroups.forEach(group => {
+    group.forEach(word => {
+        searchSynonymIndex[word] = group;
+    });
+});
+
+// Categories offered when a search has no results and nothing resembles the query
+const defaultFallbackCategories = ['fruits-vegetables', 'dairy-bakery', 'atta-rice-dal', 'snacks-biscuits', 'beverages', 'personal-care'];
+
+const searchState = {
+    isOpen: false,
+    query: ''
+};
+
+/**
+ * Lowercases text, strips accents and replaces punctuation with spaces.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Splits text into normalized search words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenizeSearchText(text) {
+    const normalized = normalizeSearchText(text);
+    return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance between two words.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 1; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[rows - 1][cols - 1];
+}
+
+/**
+ * Number of typos tolerated for a search term of the given length.
+ * @param {string} term
+ * @returns {number}
+ */
+function getAllowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Scores how well a single search term matches one word (0 = no match, 1 = exact).
+ * @param {string} term
+ * @param {string} word
+ * @returns {number}
+ */
+function scoreSearchWord(term, word) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) return 0.8;
+    if (term.length >= 3 && word.includes(term)) return 0.6;
+    const allowedTypos = getAllowedTypos(term);
+    if (allowedTypos > 0 && Math.abs(word.length - term.length) <= allowedTypos) {
+        if (getEditDistance(term, word) <= allowedTypos) return 0.5;
+    }
+    // Typo inside a prefix, e.g. "chocolat" while typing "chocolate"
+    if (term.length >= 5 && word.length > term.length && getEditDistance(term, word.slice(0, term.length)) <= allowedTypos) {
+        return 0.4;
+    }
+    return 0;
+}
+
+/**
+ * Returns the term itself plus its Hindi/English synonyms.
+ * Synonyms score slightly lower than the word the customer typed.
+ * @param {string} term
+ * @returns {{ word: string, weight: number }[]}
+ */
+function expandSearchTerm(term) {
+    const group = searchSynonymIndex[term] || [];
+    return [
+        { word: term, weight: 1 },
+        ...group.filter(word => word !== term).map(word => ({ word, weight: 0.9 }))
+    ];
+}
+
+/**
+ * Finds the best match of a term (and its synonyms) among a list of words.
+ * @param {string} term
+ * @param {string[]} words
+ * @returns {{ score: number, matchedWords: string[] }}
+ */
+function matchSearchTerm(term, words) {
+    let best = { score: 0, matchedWords: [] };
+    expandSearchTerm(term).forEach(({ word: candidate, weight }) => {
+        words.forEach(word => {
+            const score = scoreSearchWord(candidate, word) * weight;
+            if (score > best.score) {
+                best = { score, matchedWords: [word] };
+            } else if (score > 0 && score === best.score) {
+                best.matchedWords.push(word);
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * Ranks products by relevance to a search query.
+ * Name matches always rank above category matches; every term that matches
+ * nothing lowers the result below products that match the whole query.
+ * @param {string} query
+ * @param {Object[]} products - Defaults to appState.products.
+ * @returns {{ product: Object, score: number, matchedWords: string[] }[]}
+ */
+function searchProducts(query, products = appState.products) {
+    const terms = tokenizeSearchText(query);
+    if (terms.length === 0) return [];
+    const normalizedQuery = terms.join(' ');
+
+    const results = [];
+    products.forEach(product => {
+        const nameWords = tokenizeSearchText(product.name);
+        const categoryWords = tokenizeSearchText(`${getCategoryLabel(product.category)} ${product.category}`);
+        let score = 0;
+        let matchedTerms = 0;
+        const matchedWords = new Set();
+
+        terms.forEach(term => {
+            const nameMatch = matchSearchTerm(term, nameWords);
+            if (nameMatch.score > 0) {
+                score += nameMatch.score * SEARCH_NAME_WEIGHT;
+                nameMatch.matchedWords.forEach(word => matchedWords.add(word));
+                matchedTerms++;
+                return;
+            }
+            const categoryMatch = matchSearchTerm(term, categoryWords);
+            if (categoryMatch.score > 0) {
+                score += categoryMatch.score * SEARCH_CATEGORY_WEIGHT;
+                matchedTerms++;
+            }
+        });
+
+        if (matchedTerms === 0) return;
+        if (matchedTerms === terms.length) score += SEARCH_NAME_WEIGHT * terms.length;
+        if (terms.length > 1 && normalizeSearchText(product.name).includes(normalizedQuery)) score += SEARCH_NAME_WEIGHT;
+        results.push({ product, score, matchedWords: [...matchedWords] });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.product.name.localeCompare(b.product.name));
+}
+
+/**
+ * Picks categories to offer when a search finds nothing.
+ * @param {string} query
+ * @returns {string[]} Category ids.
+ */
+function suggestSearchCategories(query) {
+    const terms = tokenizeSearchText(query);
+    const related = Object.keys(categoryLabels).filter(categoryId => {
+        const words = tokenizeSearchText(getCategoryLabel(categoryId));
+        return terms.some(term => words.some(word => getEditDistance(term, word) <= Math.max(2, getAllowedTypos(term))));
+    });
+    return related.length > 0 ? related : defaultFallbackCategories;
+}
+
+/**
+ * Fills an element with text, wrapping the matched words in <mark>.
+ * Built from text nodes so product names are never parsed as HTML.
+ * @param {HTMLElement} element
+ * @param {string} text
+ * @param {string[]} matchedWords - Normalized words to highlight.
+ */
+function highlightSearchMatches(element, text, matchedWords) {
+    element.textContent = '';
+    const wordPattern = /[A-Za-z0-9\u00C0-\u024F]+/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+        if (!matchedWords.includes(normalizeSearchText(match[0]))) continue;
+        element.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        element.appendChild(mark);
+        lastIndex = match.index + match[0].length;
+    }
+    element.appendChild(document.createTextNode(text.slice(lastIndex)));
+}
+
+/**
+ * Reads the search view state from the current route (#/search?q=...).
+ * @param {Object} route - Result of getCurrentRoute().
+ */
+function readSearchStateFromUrl(route = getCurrentRoute()) {
+    searchState.query = (route.query.get('q') || '').trim();
+    searchState.isOpen = route.name === 'search' && searchState.query !== '';
+}
+
+/**
+ * Opens the search results view for a query.
+ * @param {string} query
+ */
+function openSearchResults(query) {
+    const trimmed = query.trim();
+    if (!trimmed) return;
+    navigate(`/search?${new URLSearchParams({ q: trimmed }).toString()}`);
+    searchResultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeSearchResults() {
+    navigate('/');
+    document.getElementById('home-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Renders the search results section from searchState.
+ */
+function renderSearchResults() {
+    searchResultsSection.classList.toggle('hidden', !searchState.isOpen);
+    if (!searchState.isOpen) return;
+
+    const results = searchProducts(searchState.query);
+    searchResultsTitle.textContent = `Search results for "${searchState.query}"`;
+    searchResultsCount.textContent = `${results.length} ${results.length === 1 ? 'product' : 'products'} found`;
+    searchInput.value = searchState.query;
+
+    searchResultsGrid.replaceChildren();
+    results.forEach(({ product, matchedWords }) => {
+        const productCard = createProductCard(product);
+        highlightSearchMatches(productCard.querySelector('h3'), product.name, matchedWords);
+        searchResultsGrid.appendChild(productCard);
+    });
+
+    searchNoResults.classList.toggle('hidden', results.length > 0);
+    searchFallbackCategories.replaceChildren();
+    if (results.length === 0) {
+        suggestSearchCategories(searchState.query).forEach(categoryId => {
+            const link = document.createElement('a');
+            link.href = '#';
+            link.classList.add('btn', 'btn-outline');
+            link.dataset.category = categoryId; // Opens the catalog via the category link handler
+            link.textContent = getCategoryLabel(categoryId);
+            searchFallbackCategories.appendChild(link);
+        });
+    }
+}
+
+document.querySelector('.search-close-btn').addEventListener('click', closeSearchResults);
+
+// Mobile sidebar search uses the same engine as the header search
+function submitMobileSearch() {
+    const query = mobileSearchInput.value.trim();
+    if (!query) return;
+    openSearchResults(query);
+}
+
+mobileSearchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        submitMobileSearch();
+    }
+});
+
+mobileSearchButton.addEventListener('click', submitMobileSearch);
+
+// --- Order History & Tracking ---
+// Orders move through these statuses on a simulated timeline counted from when they were placed
+const ORDER_STATUS_FLOW = [
+    { status: 'placed', label: 'Order Placed', icon: 'fas fa-receipt', afterMinutes: 0 },
+    { status: 'packed', label: 'Packed', icon: 'fas fa-box', afterMinutes: 2 },
+    { status: 'out-for-delivery', label: 'Out for Delivery', icon: 'fas fa-motorcycle', afterMinutes: 5 },
+    { status: 'delivered', label: 'Delivered', icon: 'fas fa-check-circle', afterMinutes: 10 }
+];
+const ORDER_STATUS_REFRESH_MS = 30000;
+
+const ordersState = {
+    isOpen: false,
+    orderId: null // Set when showing a single order's detail page
+};
+let orderStatusRefreshTimer = null;
+
+/**
+ * Returns the localStorage key holding the order history of a customer.
+ * @param {string} email
+ * @returns {string}
+ */
+function getOrdersStorageKey(email) {
+    return `motherMilkPalaceOrders:${email.toLowerCase()}`;
+}
+
+/**
+ * Loads a customer's orders from localStorage.
+ * @param {string} email
+ * @returns {Object[]}
+ */
+function loadOrders(email) {
+    try {
+        const orders = JSON.parse(localStorage.getItem(getOrdersStorageKey(email)) || '[]');
+        return Array.isArray(orders) ? orders : [];
+    } catch (error) {
+        console.error('Could not read saved orders:', error);
+        return [];
+    }
+}
+
+/**
+ * Saves a customer's orders to localStorage.
+ * @param {string} email
+ * @param {Object[]} orders
+ */
+function saveOrders(email, orders) {
+    localStorage.setItem(getOrdersStorageKey(email), JSON.stringify(orders));
+}
+
+/**
+ * Works out how far along the simulated delivery timeline an order is.
+ * @param {Object} order
+ * @param {Date} now
+ * @returns {number} Index into ORDER_STATUS_FLOW.
+ */
+function getOrderStatusIndex(order, now = new Date()) {
+    const minutesSincePlaced = (now.getTime() - new Date(order.createdAt).getTime()) / 60000;
+    let index = 0;
+    ORDER_STATUS_FLOW.forEach((step, i) => {
+        if (minutesSincePlaced >= step.afterMinutes) index = i;
+    });
+    return index;
+}
+
+/**
+ * Returns the current user's orders (newest first), with statuses brought up to date.
+ * @returns {Object[]}
+ */
+function getCurrentUserOrders() {
+    if (!appState.isLoggedIn || !appState.currentUser) return [];
+    const email = appState.currentUser.email;
+    const orders = loadOrders(email);
+    let changed = false;
+    orders.forEach(order => {
+        const status = ORDER_STATUS_FLOW[getOrderStatusIndex(order)].status;
+        if (order.status !== status) {
+            order.status = status;
+            changed = true;
+        }
+    });
+    if (changed) saveOrders(email, orders);
+    return orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Returns the label for an order status.
+ * @param {string} status
+ * @returns {string}
+ */
+function getOrderStatusLabel(status) {
+    const step = ORDER_STATUS_FLOW.find(s => s.status === status);
+    return step ? step.label : status;
+}
+
+/**
+ * Formats an ISO timestamp for order listings, e.g. "19 Oct 2026, 4:05 pm".
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatOrderDate(isoDate) {
+    return new Date(isoDate).toLocaleString('en-IN', {
+        day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+/**
+ * Puts the items of a past order back into the cart at today's prices, up to each product's
+ * quantity limit. Items that are no longer sold or out of stock are skipped.
+ * @param {Object} order
+ */
+function reorder(order) {
+    const items = [];
+    const unavailable = [];
+    order.items.forEach(item => {
+        const product = findSellableProduct(item.id);
+        const quantity = product ? Math.min(item.quantity, getMaxOrderQuantity(product) - getCartQuantity(product.id)) : 0;
+        if (quantity > 0) {
+            items.push({ product, quantity });
+        } else {
+            unavailable.push(item.name);
+        }
+    });
+    if (items.length > 0) dispatch('cart/addItems', { items });
+    const addedCount = items.reduce((count, item) => count + item.quantity, 0);
+
+    if (addedCount > 0) {
+        showToast(`${addedCount} item(s) from order ${order.id} added to your cart.`, 'success');
+    }
+    if (unavailable.length > 0) {
+        showToast(`No longer available: ${unavailable.join(', ')}.`, 'error');
+    }
+}
+
+/**
+ * Reads the orders view state from the current route (#/orders or #/orders/<id>).
+ * @param {Object} route - Result of getCurrentRoute().
+ */
+function readOrdersStateFromUrl(route = getCurrentRoute()) {
+    ordersState.isOpen = route.name === 'orders';
+    ordersState.orderId = ordersState.isOpen ? route.id : null;
+}
+
+/**
+ * Opens the order history, or a single order's detail page.
+ * @param {string|null} orderId
+ */
+function openOrders(orderId = null) {
+    navigate(orderId ? `/orders/${encodeURIComponent(orderId)}` : '/orders');
+    ordersSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeOrders() {
+    navigate('/');
+    document.getElementById('home-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+function renderOrderList(orders) {
+    ordersTitle.textContent = 'My Orders';
+    if (orders.length === 0) {
+        setHtml(ordersContent, html`
+            <div class="orders-empty">
+                <i class="fas fa-shopping-bag"></i>
+                <p>You haven't placed any orders yet.</p>
+            </div>
+        `);
+        return;
+    }
+
+    const list = document.createElement('ul');
+    list.classList.add('order-list');
+    orders.forEach(order => {
+        const itemCount = order.items.reduce((count, item) => count + item.quantity, 0);
+        const li = document.createElement('li');
+        li.classList.add('order-summary-card');
+        setHtml(li, html`
+            <div class="order-summary-main">
+                <h4>Order ${order.id}</h4>
+                <p>${formatOrderDate(order.createdAt)} &middot; ${itemCount} item(s) &middot; ₹${order.total.toFixed(2)}</p>
+            </div>
+            <span class="order-status-badge status-${order.status}">${getOrderStatusLabel(order.status)}</span>
+            <div class="order-summary-actions">
+                <button class="btn btn-primary-outline btn-order-details" data-order-id="${order.id}">View Details</button>
+                <button class="btn btn-primary btn-reorder" data-order-id="${order.id}"><i class="fas fa-redo"></i> Reorder</button>
+            </div>
+        `);
+        list.appendChild(li);
+    });
+    ordersContent.replaceChildren();
+    ordersContent.appendChild(list);
+}
+
+function renderOrderDetail(order) {
+    ordersTitle.textContent = `Order ${order.id}`;
+    const statusIndex = getOrderStatusIndex(order);
+    const placedAt = new Date(order.createdAt).getTime();
+
+    const timelineHtml = ORDER_STATUS_FLOW.map((step, index) => {
+        const reached = index <= statusIndex;
+        const at = new Date(placedAt + step.afterMinutes * 60000).toISOString();
+        return html`
+            <li class="${reached ? 'reached' : ''} ${index === statusIndex ? 'current' : ''}">
+                <i class="${step.icon}"></i>
+                <span class="timeline-label">${step.label}</span>
+                <span class="timeline-time">${reached ? formatOrderDate(at) : 'Pending'}</span>
+            </li>
+        `;
+    });
+
+    const itemsHtml = order.items.map(item => html`
+        <li>
+            <img src="${item.image}" alt="">
+            <span class="checkout-item-name">${item.name} &times; ${item.quantity}</span>
+            <span class="checkout-item-total">₹${(item.price * item.quantity).toFixed(2)}</span>
+        </li>
+    `);
+
+    setHtml(ordersContent, html`
+        <button class="btn btn-secondary btn-back-to-orders"><i class="fas fa-arrow-left"></i> All Orders</button>
+        <ol class="order-timeline">${timelineHtml}</ol>
+        <div class="order-detail-grid">
+            <div class="order-detail-card">
+                <h4>Items</h4>
+                <ul class="checkout-review-items">${itemsHtml}</ul>
+                <div class="checkout-review-summary">
+                    <div class="summary-line"><span>Subtotal:</span><span>₹${order.subtotal.toFixed(2)}</span></div>
+                    ${renderDiscountLinesHtml(order.discounts || [])}
+                    ${order.deliverySurcharges ? renderDeliveryLinesHtml({ baseFee: order.deliveryBaseFee, surcharges: order.deliverySurcharges }) : html`<div class="summary-line"><span>Delivery Fee:</span><span>₹${order.deliveryFee.toFixed(2)}</span></div>`}
+                    <div class="summary-line total-line"><span>Total:</span><span>₹${order.total.toFixed(2)}</span></div>
+                </div>
+            </div>
+            <div class="order-detail-card">
+                <h4>Delivery</h4>
+                <p><strong>${order.address.name}</strong> (${order.address.phone})</p>
+                <p>${formatAddress(order.address)}</p>
+                <p><i class="fas fa-clock"></i> ${order.slot.dayLabel}, ${order.slot.windowLabel}</p>
+                <h4>Payment</h4>
+                <p>${paymentMethodLabels[order.paymentMethod] || order.paymentMethod}${order.transactionId ? ` (Ref: ${order.transactionId})` : ''}</p>
+                <p>Placed on ${formatOrderDate(order.createdAt)}</p>
+                <button class="btn btn-primary btn-reorder" data-order-id="${order.id}"><i class="fas fa-redo"></i> Reorder</button>
+            </div>
+        </div>
+    `);
+}
+
+/**
+ * Renders the orders section from ordersState, refreshing statuses while it stays open.
+ */
+function renderOrders() {
+    ordersSection.classList.toggle('hidden', !ordersState.isOpen);
+    clearInterval(orderStatusRefreshTimer);
+    if (!ordersState.isOpen) return;
+
+    if (!appState.isLoggedIn || !appState.currentUser) {
+        ordersTitle.textContent = 'My Orders';
+        setHtml(ordersContent, html`
+            <div class="orders-empty">
+                <i class="fas fa-lock"></i>
+                <p>Please log in to see your orders.</p>
+                <button class="btn btn-primary btn-orders-login">Login / Register</button>
+            </div>
+        `);
+        return;
+    }
+
+    const orders = getCurrentUserOrders();
+    const order = ordersState.orderId ? orders.find(o => o.id === ordersState.orderId) : null;
+    if (ordersState.orderId && !order) {
+        ordersTitle.textContent = 'Order not found';
+        setHtml(ordersContent, html`
+            <div class="orders-empty">
+                <p>We couldn't find that order in your account.</p>
+                <button class="btn btn-secondary btn-back-to-orders"><i class="fas fa-arrow-left"></i> All Orders</button>
+            </div>
+        `);
+        return;
+    }
+
+    if (order) {
+        renderOrderDetail(order);
+    } else {
+        renderOrderList(orders);
+    }
+    orderStatusRefreshTimer = setInterval(renderOrders, ORDER_STATUS_REFRESH_MS);
+}
+
+ordersContent.addEventListener('click', (e) => {
+    const detailsBtn = e.target.closest('.btn-order-details');
+    const reorderBtn = e.target.closest('.btn-reorder');
+
+    if (detailsBtn) {
+        openOrders(detailsBtn.dataset.orderId);
+    } else if (reorderBtn) {
+        const order = getCurrentUserOrders().find(o => o.id === reorderBtn.dataset.orderId);
+        if (order) reorder(order);
+    } else if (e.target.closest('.btn-back-to-orders')) {
+        openOrders();
+    } else if (e.target.closest('.btn-orders-login')) {
+        openModal(loginModalOverlay);
+    }
+});
+
+document.querySelector('.orders-close-btn').addEventListener('click', closeOrders);
+
+subscribeToLoginState(renderOrders); // Show or hide the customer's orders
+
+// --- Account (Profile & Address Book) ---
+// Icons for the labels customers can save addresses under (the #address-label options)
+const ADDRESS_LABEL_ICONS = {
+    Home: 'fas fa-home',
+    Work: 'fas fa-briefcase',
+    Other: 'fas fa-map-marker-alt'
+};
+
+const accountState = {
+    isOpen: false,
+    editingAddressId: null, // Address shown in the address form; null while adding a new one
+    isAddressFormOpen: false
+};
+
+/**
+ * Returns the localStorage key holding a customer's saved addresses.
+ * @param {string} email
+ * @returns {string}
+ */
+function getAddressBookStorageKey(email) {
+    return `motherMilkPalaceAddresses:${email.toLowerCase()}`;
+}
+
+/**
+ * Returns the saved address book format for a customer's key. Addresses without an id are dropped.
+ * @param {string} email
+ */
+function getAddressBookSchema(email) {
+    return {
+        key: getAddressBookStorageKey(email),
+        version: 1,
+        migrations: {},
+        validate: addresses => (Array.isArray(addresses)
+            ? addresses.filter(address => Boolean(address) && typeof address.id === 'string')
+            : null)
+    };
+}
+
+/**
+ * Returns the current user's saved addresses (empty for guests).
+ * @returns {{ id: string, label: string, name: string, phone: string, line: string, landmark: string, pincode: string, city: string, isDefault: boolean }[]}
+ */
+function loadAddressBook() {
+    if (!appState.isLoggedIn || !appState.currentUser) return [];
+    return readStoredRecord(getAddressBookSchema(appState.currentUser.email)) || [];
+}
+
+/**
+ * Saves the current user's addresses, making sure exactly one is the default.
+ * @param {Object[]} addresses
+ */
+function saveAddressBook(addresses) {
+    if (!appState.currentUser) return;
+    if (addresses.length > 0 && !addresses.some(address => address.isDefault)) {
+        addresses[0].isDefault = true;
+    }
+    writeStoredRecord(getAddressBookSchema(appState.currentUser.email), addresses);
+}
+
+/**
+ * Returns the current user's default delivery address, if they have saved one.
+ * Checkout prefills it and delivery pricing follows its city.
+ * @returns {Object|null}
+ */
+function getDefaultAddress() {
+    return loadAddressBook().find(address => address.isDefault) || null;
+}
+
+/**
+ * Switches the delivery location to the default address's city.
+ */
+function applyDefaultAddressCity() {
+    const defaultAddress = getDefaultAddress();
+    if (defaultAddress && defaultAddress.city !== appState.deliveryCity) {
+        setDeliveryCity(defaultAddress.city);
+    }
+}
+
+/**
+ * Adds or updates an address in the current user's address book.
+ * @param {Object} address - Validated address; updates the saved address with the same id.
+ * @returns {Object} The saved address.
+ */
+function saveAddress(address) {
+    const addresses = loadAddressBook();
+    const saved = { ...address, id: address.id || `ADDR${Date.now().toString(36).toUpperCase()}` };
+    if (saved.isDefault) addresses.forEach(a => { a.isDefault = false; });
+
+    const index = addresses.findIndex(a => a.id === saved.id);
+    if (index === -1) {
+        addresses.push(saved);
+    } else {
+        addresses[index] = saved;
+    }
+    saveAddressBook(addresses);
+    if (saved.isDefault || addresses.length === 1) applyDefaultAddressCity();
+    return saved;
+}
+
+/**
+ * Removes an address. If it was the default, the next address takes over and the delivery
+ * location follows its city.
+ * @param {string} addressId
+ */
+function deleteAddress(addressId) {
+    const addresses = loadAddressBook();
+    const index = addresses.findIndex(address => address.id === addressId);
+    if (index === -1) return;
+    const [deleted] = addresses.splice(index, 1);
+    if (deleted.isDefault && addresses.length > 0) {
+        addresses[index % addresses.length].isDefault = true; // The first one if the last was deleted
+    }
+    saveAddressBook(addresses);
+    if (deleted.isDefault) applyDefaultAddressCity();
+}
+
+/**
+ * Makes a saved address the default.
+ * @param {string} addressId
+ */
+function setDefaultAddress(addressId) {
+    const addresses = loadAddressBook();
+    addresses.forEach(address => { address.isDefault = address.id === addressId; });
+    saveAddressBook(addresses);
+    applyDefaultAddressCity();
+}
+
+/**
+ * Moves data stored per customer (wishlist, cart, stock alerts, orders, addresses, subscriptions) to a new email address.
+ * @param {string} previousEmail
+ * @param {string} email
+ */
+function moveUserData(previousEmail, email) {
+    [
+        getWishlistStorageKey, getCartStorageKey, getStockAlertsStorageKey, getOrdersStorageKey, getAddressBookStorageKey,
+        getSubscriptionsStorageKey
+    ].forEach(getKey => {
+        const data = localStorage.getItem(getKey(previousEmail));
+        if (data === null) return;
+        localStorage.setItem(getKey(email), data);
+        localStorage.removeItem(getKey(previousEmail));
+    });
+}
+
+/**
+ * Reads the account view state from the current route (#/account).
+ * @param {Object} route - Result of getCurrentRoute().
+ */
+function readAccountStateFromUrl(route = getCurrentRoute()) {
+    accountState.isOpen = route.name === 'account';
+}
+
+function openAccount() {
+    navigate('/account');
+    accountSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeAccount() {
+    navigate('/');
+    document.getElementById('home-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+function renderAddressList() {
+    const addresses = loadAddressBook();
+    if (addresses.length === 0) {
+        setHtml(addressList, html`<li class="address-list-empty">No saved addresses yet.</li>`);
+        return;
+    }
+    setHtml(addressList, html`${addresses.map(address => html`
+        <li class="address-card ${address.isDefault ? 'is-default' : ''}" data-address-id="${address.id}">
+            <div class="address-card-header">
+                <span class="address-label"><i class="${ADDRESS_LABEL_ICONS[address.label] || ADDRESS_LABEL_ICONS.Other}"></i> ${address.label}</span>
+                ${address.isDefault ? html`<span class="address-default-badge">Default</span>` : ''}
+            </div>
+            <p><strong>${address.name}</strong> (${address.phone})</p>
+            <p>${formatAddress(address)}</p>
+            <div class="address-card-actions">
+                ${address.isDefault ? '' : html`<button class="otp-action-btn btn-default-address">Set as Default</button>`}
+                <button class="otp-action-btn btn-edit-address">Edit</button>
+                <button class="otp-action-btn btn-delete-address">Delete</button>
+            </div>
+        </li>
+    `)}`);
+}
+
+/**
+ * Fills the address form with a saved address, or defaults for a new one.
+ * @param {Object|null} address
+ */
+function fillAddressForm(address) {
+    const user = appState.currentUser || {};
+    const values = address || { label: 'Home', name: user.name, phone: user.phone, city: appState.deliveryCity };
+    addressForm.querySelector('#address-label').value = values.label || 'Home';
+    addressForm.querySelector('#address-name').value = values.name || '';
+    addressForm.querySelector('#address-phone').value = values.phone || '';
+    addressForm.querySelector('#address-line').value = values.line || '';
+    addressForm.querySelector('#address-landmark').value = values.landmark || '';
+    addressForm.querySelector('#address-pincode').value = values.pincode || '';
+    addressForm.querySelector('#address-city').value = values.city || DEFAULT_DELIVERY_CITY;
+    addressForm.querySelector('#address-default').checked = Boolean(address ? address.isDefault : loadAddressBook().length === 0);
+}
+
+function openAddressForm(addressId = null) {
+    accountState.isAddressFormOpen = true;
+    accountState.editingAddressId = addressId;
+    fillAddressForm(addressId ? loadAddressBook().find(address => address.id === addressId) : null);
+    renderAccount();
+    addressForm.querySelector('#address-line').focus();
+}
+
+function closeAddressForm() {
+    accountState.isAddressFormOpen = false;
+    accountState.editingAddressId = null;
+    renderAccount();
+}
+
+/**
+ * Hides the phone verification field of the profile form.
+ */
+function resetProfilePhoneCode() {
+    profilePhoneCodeGroup.classList.add('hidden');
+    profileForm.querySelector('#profile-phone-code').value = '';
+}
+
+/**
+ * Renders the account view: the profile form and the address book, or a login prompt for guests.
+ */
+function renderAccount() {
+    accountSection.classList.toggle('hidden', !accountState.isOpen);
+    if (!accountState.isOpen) return;
+
+    const isLoggedIn = appState.isLoggedIn && appState.currentUser;
+    accountSection.querySelector('.account-login-prompt').classList.toggle('hidden', Boolean(isLoggedIn));
+    accountSection.querySelector('.account-grid').classList.toggle('hidden', !isLoggedIn);
+    if (!isLoggedIn) return;
+
+    // Keep the entered details while a new phone number is being verified
+    if (profilePhoneCodeGroup.classList.contains('hidden')) {
+        profileForm.querySelector('#profile-name').value = appState.currentUser.name || '';
+        profileForm.querySelector('#profile-email').value = appState.currentUser.email || '';
+        profileForm.querySelector('#profile-phone').value = appState.currentUser.phone || '';
+    }
+
+    renderAddressList();
+    addressForm.classList.toggle('hidden', !accountState.isAddressFormOpen);
+    accountSection.querySelector('.btn-add-address').classList.toggle('hidden', accountState.isAddressFormOpen);
+}
+
+profileForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = profileForm.querySelector('#profile-name').value.trim();
+    const email = profileForm.querySelector('#profile-email').value.trim();
+    const phone = profileForm.querySelector('#profile-phone').value.trim();
+    const phoneCode = profileForm.querySelector('#profile-phone-code').value.trim();
+    const user = appState.currentUser;
+
+    if (name.length < 3) {
+        showToast('Please enter your full name (at least 3 characters).', 'error');
+        return;
+    }
+    if (!isValidEmail(email)) {
+        showToast('Please enter a valid email address.', 'error');
+        return;
+    }
+    if (!/^\d{10}$/.test(phone)) {
+        showToast('Please enter a valid 10-digit mobile number.', 'error');
+        return;
+    }
+    if (name === user.name && normalizeEmail(email) === normalizeEmail(user.email) && phone === user.phone) {
+        showToast('There are no changes to save.', 'info');
+        return;
+    }
+
+    const saveButton = profileForm.querySelector('.profile-save-btn');
+    saveButton.disabled = true;
+    try {
+        // A new phone number must be verified before it is saved
+        if (phone !== user.phone && profilePhoneCodeGroup.classList.contains('hidden')) {
+            if (await sendVerificationCode('verify-phone', phone, profilePhoneCodeGroup.querySelector('.btn-resend-code'))) {
+                profilePhoneCodeGroup.classList.remove('hidden');
+                profileForm.querySelector('#profile-phone-code').focus();
+                showToast(`We've sent a verification code to ${phone}.`, 'info');
+            }
+            return;
+        }
+        if (phone !== user.phone && !isValidVerificationCode(phoneCode)) {
+            showToast(`Please enter the ${VERIFICATION_CODE_LENGTH}-digit code we sent to ${phone}.`, 'error');
+            return;
+        }
+
+        const session = readStoredSession();
+        if (!session) {
+            endSession();
+            showToast('Your session has expired. Please log in again.', 'info');
+            return;
+        }
+        const updatedUser = await authBackend.updateProfile(session.token, { name, email, phone, phoneCode });
+        if (normalizeEmail(updatedUser.email) !== normalizeEmail(user.email)) {
+            moveUserData(user.email, updatedUser.email);
+        }
+        updateStoredSessionUser(updatedUser);
+        resetProfilePhoneCode();
+        setLoginState(updatedUser);
+        showToast('Your profile has been updated.', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        saveButton.disabled = false;
+    }
+});
+
+// Editing the number again means the code sent to the previous one no longer applies
+profileForm.querySelector('#profile-phone').addEventListener('input', resetProfilePhoneCode);
+
+profilePhoneCodeGroup.querySelector('.btn-resend-code').addEventListener('click', async (e) => {
+    const phone = profileForm.querySelector('#profile-phone').value.trim();
+    if (await sendVerificationCode('verify-phone', phone, e.currentTarget)) {
+        showToast(`A new code has been sent to ${phone}.`, 'info');
+    }
+});
+
+addressForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const address = {
+        id: accountState.editingAddressId,
+        label: addressForm.querySelector('#address-label').value,
+        name: addressForm.querySelector('#address-name').value.trim(),
+        phone: addressForm.querySelector('#address-phone').value.trim(),
+        line: addressForm.querySelector('#address-line').value.trim(),
+        landmark: addressForm.querySelector('#address-landmark').value.trim(),
+        pincode: addressForm.querySelector('#address-pincode').value.trim(),
+        city: addressForm.querySelector('#address-city').value,
+        isDefault: addressForm.querySelector('#address-default').checked
+    };
+
+    const error = validateAddress(address);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    saveAddress(address);
+    closeAddressForm();
+    showToast(`${address.label} address saved.`, 'success');
+});
+
+accountSection.addEventListener('click', (e) => {
+    const card = e.target.closest('.address-card');
+    if (e.target.closest('.btn-add-address')) {
+        openAddressForm();
+    } else if (e.target.closest('.btn-cancel-address')) {
+        closeAddressForm();
+    } else if (e.target.closest('.btn-account-login')) {
+        openModal(loginModalOverlay);
+    } else if (card && e.target.closest('.btn-edit-address')) {
+        openAddressForm(card.dataset.addressId);
+    } else if (card && e.target.closest('.btn-default-address')) {
+        setDefaultAddress(card.dataset.addressId);
+        renderAccount();
+        showToast('Default address updated.', 'success');
+    } else if (card && e.target.closest('.btn-delete-address')) {
+        deleteAddress(card.dataset.addressId);
+        if (accountState.editingAddressId === card.dataset.addressId) closeAddressForm();
+        renderAccount();
+        showToast('Address deleted.', 'info');
+    }
+});
+
+document.querySelector('.account-close-btn').addEventListener('click', closeAccount);
+
+subscribeToLoginState(renderAccount);
+
+// --- Dairy Subscriptions ---
+// Logged-in customers can have dairy products delivered every day or on alternate days, in a delivery
+// slot of their choice. A subscription can be paused or have single deliveries skipped, and vacation
+// mode holds every delivery from the day the customer leaves until the day they're back. Changes apply
+// from tomorrow's deliveries. The calendar and the bill estimate are worked out from the saved
+// subscriptions and today's prices.
+const SUBSCRIPTION_CATEGORIES = ['dairy-bakery'];
+const SUBSCRIPTION_FREQUENCIES = {
+    daily: { label: 'Every day', intervalDays: 1 },
+    alternate: { label: 'On alternate days', intervalDays: 2 }
+};
+const SUBSCRIPTION_CALENDAR_DAYS = 28;
+const SUBSCRIPTION_BILL_DAYS = 30;
+const SUBSCRIPTION_DEFAULT_SLOT = 7; // Start hour of the earliest delivery window
+const SUBSCRIPTION_STATUS_LABELS = {
+    scheduled: 'Scheduled',
+    skipped: 'Skipped',
+    paused: 'Paused',
+    vacation: 'On vacation',
+    unavailable: 'No longer available'
+};
+
+const subscriptionsState = {
+    isOpen: false,
+    editingSubscriptionId: null, // Subscription shown in the form; null while adding a new one
+    isFormOpen: false
+};
+
+/**
+ * Formats a date as a 'YYYY-MM-DD' key in local time (the value format of date inputs).
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
 
-// --- Modal Functions ---
-function openModal(modalOverlay) {
-    modalOverlay.classList.add('active');
-    document.body.classList.add('no-scroll');
-    // Reset forms when opening
-    if (modalOverlay === loginModalOverlay) {
-        loginForm.reset();
-        loginForm.querySelector('#login-email').focus();
-    } else if (modalOverlay === registerModalOverlay) {
-        registerForm.reset();
-        registerForm.querySelector('#register-name').focus();
-    }
+function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
 }
 
-function closeModal(modalOverlay) {
-    modalOverlay.classList.remove('active');
-    document.body.classList.remove('no-scroll');
+function isValidDateKey(dateKey) {
+    return typeof dateKey === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateKey) && toDateKey(parseDateKey(dateKey)) === dateKey;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
 }
 
-// --- Dynamic Product Rendering for Featured/Offer Sections ---
 /**
- * Renders products into the featured product grid.
- * This function can be extended to filter by category or apply search.
+ * Returns the first day subscription changes apply to (tomorrow).
+ * @param {Date} now
+ * @returns {string} Date key.
  */
-function renderFeaturedProducts() {
-    const productGrid = document.querySelector('.featured-products-section .product-grid');
-    if (!productGrid) return;
+function getFirstSubscriptionDateKey(now = new Date()) {
+    return toDateKey(addDays(now, 1));
+}
 
-    productGrid.innerHTML = ''; // Clear existing content
+/**
+ * Formats a date key for the calendar and lists, e.g. "Tue, 20 Oct".
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function formatDeliveryDate(dateKey) {
+    return parseDateKey(dateKey).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+}
 
-    // Filter products that have an offerPrice for the "Today's Best Deals & Offers" section
-    const offerProducts = appState.products.filter(p => p.offerPrice && p.offerPrice < p.price);
+function getSubscriptionSlotLabel(startHour) {
+    const slotWindow = DELIVERY_SLOT_WINDOWS.find(([start]) => start === startHour);
+    return slotWindow ? `${formatSlotHour(slotWindow[0])} - ${formatSlotHour(slotWindow[1])}` : '';
+}
 
-    // Limit to a certain number if needed, or dynamically load more
-    const productsToDisplay = offerProducts.slice(0, 12); // Display top 12 offers
+/**
+ * Returns the localStorage key holding a customer's subscriptions.
+ * @param {string} email
+ * @returns {string}
+ */
+function getSubscriptionsStorageKey(email) {
+    return `motherMilkPalaceSubscriptions:${email.toLowerCase()}`;
+}
 
-    productsToDisplay.forEach(product => {
-        const productCard = document.createElement('div');
-        productCard.classList.add('product-card', 'offer-card');
-
-        // Calculate discount percentage for the badge
-        const discount = ((product.price - product.offerPrice) / product.price) * 100;
-        let offerBadgeText = `${Math.round(discount)}% OFF`;
-        if (product.id === 'potato-1kg') { // Special handling for BOGO
-            offerBadgeText = 'Buy 1 Get 1';
-        } else if (product.id === 'rice-1kg') { // Special handling for SAVE ₹50
-            offerBadgeText = 'SAVE ₹50';
-        } else if (product.id === 'oil-1l') { // Special handling for FLAT ₹20 OFF
-            offerBadgeText = 'FLAT ₹20 OFF';
-        } else if (product.id === 'tomato-500g') { // Special handling for HOT DEAL
-            offerBadgeText = 'HOT DEAL';
-        } else if (product.id === 'dettol-handwash') { // Special handling for UPTO 40% OFF
-            offerBadgeText = 'UPTO 40% OFF';
-        }
+/**
+ * Returns the saved subscriptions format (subscriptions and vacation) for a customer's key.
+ * @param {string} email
+ */
+function getSubscriptionsSchema(email) {
+    return {
+        key: getSubscriptionsStorageKey(email),
+        version: 1,
+        migrations: {},
+        validate: validateStoredSubscriptions
+    };
+}
 
+function isValidSubscription(subscription) {
+    return Boolean(subscription) &&
+        typeof subscription.id === 'string' &&
+        typeof subscription.productId === 'string' &&
+        typeof subscription.name === 'string' &&
+        Number.isInteger(subscription.quantity) && subscription.quantity > 0 &&
+        Object.prototype.hasOwnProperty.call(SUBSCRIPTION_FREQUENCIES, subscription.frequency) &&
+        isValidDateKey(subscription.startDate) &&
+        DELIVERY_SLOT_WINDOWS.some(([start]) => start === subscription.slot) &&
+        typeof subscription.isPaused === 'boolean' &&
+        Array.isArray(subscription.skippedDates) && subscription.skippedDates.every(isValidDateKey);
+}
 
-        productCard.innerHTML = `
-            <div class="offer-badge">${offerBadgeText}</div>
-            <img src="${product.imageUrl}" alt="${product.name}">
-            <h3>${product.name}</h3>
-            <div class="price-info">
-                <span class="product-price new-price">₹${product.offerPrice.toFixed(2)}</span>
-                <span class="product-price old-price">₹${product.price.toFixed(2)}</span>
-            </div>
-            <div class="product-actions">
-                <span class="product-weight">${product.weight}</span>
-                <button class="btn btn-add-to-cart"
-                    data-product-id="${product.id}"
-                    data-name="${product.name}"
-                    data-price="${product.offerPrice}"
-                    data-image="${product.imageUrl}">
-                    Add to Cart
-                </button>
-            </div>
-        `;
-        productGrid.appendChild(productCard);
+/**
+ * Validates saved subscriptions, dropping any that are missing fields.
+ * @returns {{ subscriptions: Object[], vacation: { from: string, to: string }|null }|null}
+ */
+function validateStoredSubscriptions(data) {
+    if (!data || !Array.isArray(data.subscriptions)) return null;
+    const vacation = data.vacation;
+    return {
+        subscriptions: data.subscriptions.filter(isValidSubscription),
+        vacation: vacation && isValidDateKey(vacation.from) && isValidDateKey(vacation.to) && vacation.from < vacation.to ? vacation : null
+    };
+}
+
+/**
+ * Returns the current user's subscriptions and vacation (empty for guests).
+ * @returns {{ subscriptions: { id: string, productId: string, name: string, quantity: number, frequency: string, startDate: string, slot: number, isPaused: boolean, skippedDates: string[] }[], vacation: { from: string, to: string }|null }}
+ */
+function loadSubscriptions() {
+    const empty = { subscriptions: [], vacation: null };
+    if (!appState.isLoggedIn || !appState.currentUser) return empty;
+    return readStoredRecord(getSubscriptionsSchema(appState.currentUser.email)) || empty;
+}
+
+/**
+ * Saves the current user's subscriptions, forgetting skipped days and vacations that are over.
+ * @param {{ subscriptions: Object[], vacation: Object|null }} data
+ */
+function saveSubscriptions(data) {
+    if (!appState.currentUser) return;
+    const today = toDateKey(new Date());
+    writeStoredRecord(getSubscriptionsSchema(appState.currentUser.email), {
+        subscriptions: data.subscriptions.map(subscription => ({
+            ...subscription,
+            skippedDates: subscription.skippedDates.filter(dateKey => dateKey > today)
+        })),
+        vacation: data.vacation && data.vacation.to > today ? data.vacation : null
     });
 }
 
-// --- Search Suggestions Logic ---
-function filterSearchSuggestions(query) {
-    const filteredProducts = appState.products.filter(product =>
-        product.name.toLowerCase().includes(query) ||
-        product.category.toLowerCase().includes(query)
-    ).slice(0, 10); // Limit to top 10 suggestions
+/**
+ * Returns the product sizes that can be subscribed to.
+ * @returns {Object[]} Products as returned by getVariantProduct().
+ */
+function getSubscribableProducts() {
+    return appState.products
+        .filter(product => SUBSCRIPTION_CATEGORIES.includes(product.category))
+        .flatMap(product => getProductVariants(product).map(variant => getVariantProduct(product, variant)));
+}
 
-    searchSuggestions.innerHTML = '';
-    const ul = document.createElement('ul');
+function isSubscribable(product) {
+    return SUBSCRIPTION_CATEGORIES.includes(product.category);
+}
 
-    if (filteredProducts.length > 0) {
-        filteredProducts.forEach(product => {
-            const li = document.createElement('li');
-            li.textContent = product.name;
-            ul.appendChild(li);
-        });
-        searchSuggestions.appendChild(ul);
-    } else {
-        const li = document.createElement('li');
-        li.textContent = 'No results found.';
-        li.style.pointerEvents = 'none'; // Make it unclickable
-        li.style.color = '#888';
-        ul.appendChild(li);
-        searchSuggestions.appendChild(ul);
-    }
+function isSubscriptionDiscontinued(subscription) {
+    return productsState.status === 'ready' && !findSellableProduct(subscription.productId);
 }
 
-// --- Carousel Initialization (Owl Carousel) ---
-function initializeCarousels() {
-    // Categories Carousel
-    $('.categories-carousel').owlCarousel({
-        loop: true,
-        margin: 20,
-        nav: true,
-        dots: true,
-        autoplay: true,
-        autoplayTimeout: 4000,
-        autoplayHoverPause: true,
-        responsive: {
-            0: {
-                items: 1,
-                stagePadding: 40 // See more of next item
-            },
-            600: {
-                items: 2,
-                stagePadding: 20
-            },
-            768: {
-                items: 3
-            },
-            992: {
-                items: 4
-            },
-            1200: {
-                items: 5
-            }
-        }
-    });
+/**
+ * Returns true if a subscription has a delivery on a day (before pauses, skips and vacations).
+ * @param {Object} subscription
+ * @param {string} dateKey
+ * @returns {boolean}
+ */
+function isSubscriptionDeliveryDay(subscription, dateKey) {
+    if (dateKey < subscription.startDate) return false;
+    const days = Math.round((parseDateKey(dateKey) - parseDateKey(subscription.startDate)) / (24 * 60 * 60 * 1000));
+    return days % SUBSCRIPTION_FREQUENCIES[subscription.frequency].intervalDays === 0;
+}
 
-    // Testimonials Carousel
-    $('.testimonials-carousel').owlCarousel({
-        loop: true,
-        margin: 30,
-        nav: false,
-        dots: true,
-        autoplay: true,
-        autoplayTimeout: 5000,
-        autoplayHoverPause: true,
-        responsive: {
-            0: {
-                items: 1
-            },
-            768: {
-                items: 2
-            },
-            992: {
-                items: 3
-            }
-        }
-    });
+/**
+ * Returns what happens to a subscription's delivery on a day.
+ * @param {Object} subscription
+ * @param {string} dateKey
+ * @param {{ from: string, to: string }|null} vacation
+ * @returns {string|null} A SUBSCRIPTION_STATUS_LABELS key, or null if there is no delivery that day.
+ */
+function getSubscriptionDeliveryStatus(subscription, dateKey, vacation) {
+    if (!isSubscriptionDeliveryDay(subscription, dateKey)) return null;
+    if (isSubscriptionDiscontinued(subscription)) return 'unavailable';
+    if (subscription.isPaused) return 'paused';
+    if (vacation && dateKey >= vacation.from && dateKey < vacation.to) return 'vacation'; // Delivered again on the day they're back
+    return subscription.skippedDates.includes(dateKey) ? 'skipped' : 'scheduled';
+}
 
-    // Partners Carousel
-    $('.partners-carousel').owlCarousel({
-        loop: true,
-        margin: 30,
-        nav: false,
-        dots: false,
-        autoplay: true,
-        autoplayTimeout: 3000,
-        autoplayHoverPause: true,
-        responsive: {
-            0: {
-                items: 2
-            },
-            600: {
-                items: 3
-            },
-            768: {
-                items: 4
-            },
-            992: {
-                items: 5
-            },
-            1200: {
-                items: 6
-            }
-        }
+/**
+ * Lists the deliveries of the coming days, starting tomorrow.
+ * @param {{ subscriptions: Object[], vacation: Object|null }} data
+ * @param {number} days
+ * @returns {{ dateKey: string, deliveries: { subscription: Object, status: string }[] }[]}
+ */
+function getUpcomingDeliveries(data, days) {
+    const firstDay = parseDateKey(getFirstSubscriptionDateKey());
+    return Array.from({ length: days }, (_, offset) => {
+        const dateKey = toDateKey(addDays(firstDay, offset));
+        const deliveries = data.subscriptions
+            .map(subscription => ({ subscription, status: getSubscriptionDeliveryStatus(subscription, dateKey, data.vacation) }))
+            .filter(delivery => delivery.status !== null);
+        return { dateKey, deliveries };
     });
 }
 
-// Initial calls to load state and update UI
-loadCartFromLocalStorage();
-loadLoginStateFromLocalStorage();
-renderFeaturedProducts();
-initializeCarousels(); // Ensure carousels are initialized on page load
+/**
+ * Estimates the next SUBSCRIPTION_BILL_DAYS days of scheduled deliveries at today's prices.
+ * @param {{ subscriptions: Object[], vacation: Object|null }} data
+ * @returns {{ lines: { name: string, deliveries: number, quantity: number, amount: number }[], total: number }}
+ */
+function getSubscriptionBillEstimate(data) {
+    const upcoming = getUpcomingDeliveries(data, SUBSCRIPTION_BILL_DAYS);
+    const lines = data.subscriptions.map(subscription => {
+        const product = findSellableProduct(subscription.productId);
+        const deliveries = upcoming.filter(day => day.deliveries.some(delivery =>
+            delivery.subscription === subscription && delivery.status === 'scheduled')).length;
+        const amount = product ? deliveries * subscription.quantity * getProductDisplayPrice(product) : 0;
+        return { name: subscription.name, deliveries, quantity: subscription.quantity, amount };
+    }).filter(line => line.deliveries > 0);
+    return { lines, total: lines.reduce((sum, line) => sum + line.amount, 0) };
+}
+
+/**
+ * Checks a subscription from the form.
+ * @param {Object} subscription
+ * @param {Object|null} existing - The saved subscription being edited, which may have started already.
+ * @returns {string|null} An error message, or null if it is valid.
+ */
+function validateSubscription(subscription, existing = null) {
+    const product = findSellableProduct(subscription.productId);
+    if (!product || !isSubscribable(product)) return 'Please choose a product to subscribe to.';
+    const maxQuantity = product.maxPerOrder || DEFAULT_MAX_PER_ORDER;
+    if (!Number.isInteger(subscription.quantity) || subscription.quantity < 1 || subscription.quantity > maxQuantity) {
+        return `Please choose between 1 and ${maxQuantity} of ${product.name} per delivery.`;
+    }
+    const isStartUnchanged = Boolean(existing) && existing.startDate === subscription.startDate;
+    if (!isValidDateKey(subscription.startDate) || (subscription.startDate < getFirstSubscriptionDateKey() && !isStartUnchanged)) {
+        return 'Subscriptions can start from tomorrow at the earliest.';
+    }
+    if (!isProductAvailable(product)) return `${product.name} can't be delivered to ${getCityLabel()}.`;
+    return null;
+}
+
+/**
+ * Adds or updates a subscription.
+ * @param {Object} subscription - Validated subscription; updates the saved one with the same id.
+ * @returns {Object} The saved subscription.
+ */
+function saveSubscription(subscription) {
+    const data = loadSubscriptions();
+    const existing = data.subscriptions.find(s => s.id === subscription.id);
+    const saved = {
+        isPaused: false,
+        skippedDates: [],
+        ...existing,
+        ...subscription,
+        id: subscription.id || `SUB${Date.now().toString(36).toUpperCase()}`,
+        name: findSellableProduct(subscription.productId).name
+    };
+    const subscriptions = existing
+        ? data.subscriptions.map(s => (s.id === saved.id ? saved : s))
+        : [...data.subscriptions, saved];
+    saveSubscriptions({ ...data, subscriptions });
+    return saved;
+}
 
-// Additional dynamic content (e.g., populating all product listings)
-// This would be a more extensive function if you had a dedicated products page
-// For now, we only render featured ones as defined in HTML.
-// If you wanted to dynamically load ALL products from appState.products into a "View All Products" grid:
+/**
+ * Applies a change to one subscription and saves it.
+ * @param {string} subscriptionId
+ * @param {Function} update - Returns the changed subscription, or null to remove it.
+ * @returns {Object|null} The subscription before the change.
+ */
+function updateSubscription(subscriptionId, update) {
+    const data = loadSubscriptions();
+    const subscription = data.subscriptions.find(s => s.id === subscriptionId);
+    if (!subscription) return null;
+    const subscriptions = data.subscriptions
+        .map(s => (s.id === subscriptionId ? update(s) : s))
+        .filter(Boolean);
+    saveSubscriptions({ ...data, subscriptions });
+    return subscription;
+}
 
-/*
-function renderAllProducts() {
-    const allProductsGrid = document.querySelector('#all-products-section .product-grid'); // Assuming you add this section
-    if (!allProductsGrid) return;
+function toggleSubscriptionPause(subscriptionId) {
+    const subscription = updateSubscription(subscriptionId, s => ({ ...s, isPaused: !s.isPaused }));
+    if (!subscription) return;
+    showToast(subscription.isPaused
+        ? `${subscription.name} deliveries resume from ${formatDeliveryDate(getFirstSubscriptionDateKey())}.`
+        : `${subscription.name} deliveries are paused.`, 'info');
+}
 
-    allProductsGrid.innerHTML = '';
-    appState.products.forEach(product => {
-        const productCard = document.createElement('div');
-        productCard.classList.add('product-card');
-        // Determine price to display - offer price if available, else regular price
-        const displayPrice = product.offerPrice ? product.offerPrice : product.price;
-        const oldPriceHtml = product.offerPrice ? `<span class="product-price old-price">₹${product.price.toFixed(2)}</span>` : '';
-        const offerBadgeHtml = product.offerPrice ? `<div class="offer-badge">${Math.round(((product.price - product.offerPrice) / product.price) * 100)}% OFF</div>` : '';
+function cancelSubscription(subscriptionId) {
+    const subscription = updateSubscription(subscriptionId, () => null);
+    if (subscription) showToast(`Your ${subscription.name} subscription has been cancelled.`, 'info');
+}
 
+/**
+ * Skips one delivery of a subscription, or brings it back if it was skipped.
+ * @param {string} subscriptionId
+ * @param {string} dateKey - From tomorrow on.
+ */
+function toggleSkippedDelivery(subscriptionId, dateKey) {
+    if (!isValidDateKey(dateKey) || dateKey < getFirstSubscriptionDateKey()) return;
+    const subscription = updateSubscription(subscriptionId, s => ({
+        ...s,
+        skippedDates: s.skippedDates.includes(dateKey)
+            ? s.skippedDates.filter(d => d !== dateKey)
+            : [...s.skippedDates, dateKey]
+    }));
+    if (!subscription) return;
+    showToast(subscription.skippedDates.includes(dateKey)
+        ? `${subscription.name} will be delivered on ${formatDeliveryDate(dateKey)}.`
+        : `${subscription.name} delivery on ${formatDeliveryDate(dateKey)} skipped.`, 'info');
+}
 
-        productCard.innerHTML = `
-            ${offerBadgeHtml}
-            <img src="${product.imageUrl}" alt="${product.name}">
-            <h3>${product.name}</h3>
-            <div class="price-info">
-                <span class="product-price new-price">₹${displayPrice.toFixed(2)}</span>
-                ${oldPriceHtml}
-            </div>
-            <div class="product-actions">
-                <span class="product-weight">${product.weight}</span>
-                <button class="btn btn-add-to-cart"
-                    data-product-id="${product.id}"
-                    data-name="${product.name}"
-                    data-price="${displayPrice}"
-                    data-image="${product.imageUrl}">
-                    Add to Cart
-                </button>
-            </div>
+/**
+ * Holds every delivery from the day the customer leaves until the day before they're back, or ends
+ * vacation mode when vacation is null.
+ * @param {{ from: string, to: string }|null} vacation - to: the day they're back, when deliveries resume.
+ */
+function setVacation(vacation) {
+    saveSubscriptions({ ...loadSubscriptions(), vacation });
+}
+
+/**
+ * Reads the subscriptions view state from the current route (#/subscriptions).
+ * @param {Object} route - Result of getCurrentRoute().
+ */
+function readSubscriptionsStateFromUrl(route = getCurrentRoute()) {
+    subscriptionsState.isOpen = route.name === 'subscriptions';
+}
+
+/**
+ * Opens the subscriptions view, with the form ready for a product if one is given.
+ * @param {string|null} productId - Variant id to subscribe to.
+ */
+function openSubscriptions(productId = null) {
+    navigate('/subscriptions');
+    if (productId) openSubscriptionForm(null, productId);
+    subscriptionsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeSubscriptions() {
+    navigate('/');
+    document.getElementById('home-section').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Fills the subscription form with a saved subscription, or defaults for a new one.
+ * @param {Object|null} subscription
+ * @param {string|null} productId - Product to preselect for a new subscription.
+ */
+function fillSubscriptionForm(subscription, productId = null) {
+    const values = subscription || {
+        productId,
+        quantity: 1,
+        frequency: 'daily',
+        startDate: getFirstSubscriptionDateKey(),
+        slot: SUBSCRIPTION_DEFAULT_SLOT
+    };
+    const productSelect = subscriptionForm.querySelector('#subscription-product');
+    setHtml(productSelect, html`
+        <option value="">Choose a product</option>
+        ${getSubscribableProducts().map(product => html`
+            <option value="${product.id}">${product.name} (₹${getProductDisplayPrice(product).toFixed(2)})</option>
+        `)}
+    `);
+    productSelect.value = values.productId || '';
+    subscriptionForm.querySelector('#subscription-quantity').value = values.quantity;
+    subscriptionForm.querySelector('#subscription-frequency').value = values.frequency;
+    const startInput = subscriptionForm.querySelector('#subscription-start');
+    startInput.min = getFirstSubscriptionDateKey();
+    startInput.value = values.startDate;
+    subscriptionForm.querySelector('#subscription-slot').value = values.slot;
+}
+
+function openSubscriptionForm(subscriptionId = null, productId = null) {
+    subscriptionsState.isFormOpen = true;
+    subscriptionsState.editingSubscriptionId = subscriptionId;
+    fillSubscriptionForm(subscriptionId ? loadSubscriptions().subscriptions.find(s => s.id === subscriptionId) : null, productId);
+    renderSubscriptions();
+}
+
+function closeSubscriptionForm() {
+    subscriptionsState.isFormOpen = false;
+    subscriptionsState.editingSubscriptionId = null;
+    renderSubscriptions();
+}
+
+function renderSubscriptionList(data) {
+    if (data.subscriptions.length === 0) {
+        setHtml(subscriptionList, html`<li class="address-list-empty">No subscriptions yet. Get milk, curd or bread delivered every morning.</li>`);
+        return;
+    }
+    setHtml(subscriptionList, html`${data.subscriptions.map(subscription => {
+        const product = findSellableProduct(subscription.productId);
+        return html`
+            <li class="address-card subscription-card${subscription.isPaused ? ' is-paused' : ''}" data-subscription-id="${subscription.id}">
+                <div class="address-card-header">
+                    <span class="address-label">${subscription.name} &times; ${subscription.quantity}</span>
+                    ${subscription.isPaused ? html`<span class="subscription-paused-badge">Paused</span>` : ''}
+                </div>
+                <p>${SUBSCRIPTION_FREQUENCIES[subscription.frequency].label}, ${getSubscriptionSlotLabel(subscription.slot)}, from ${formatDeliveryDate(subscription.startDate)}</p>
+                ${product ? html`<p>₹${(getProductDisplayPrice(product) * subscription.quantity).toFixed(2)} per delivery</p>` : ''}
+                ${isSubscriptionDiscontinued(subscription) ? html`<p class="cart-item-unavailable">This product is no longer available.</p>` : ''}
+                <div class="address-card-actions">
+                    <button class="otp-action-btn btn-pause-subscription">${subscription.isPaused ? 'Resume' : 'Pause'}</button>
+                    <button class="otp-action-btn btn-edit-subscription">Edit</button>
+                    <button class="otp-action-btn btn-cancel-subscription-plan">Cancel Subscription</button>
+                </div>
+            </li>
         `;
-        allProductsGrid.appendChild(productCard);
-    });
+    })}`);
 }
-// Call renderAllProducts() if you add a section for it in HTML
-// document.querySelector('.btn-view-all-products').addEventListener('click', () => {
-//     window.location.href = 'products.html'; // Or show/hide products section
-// });
-*/
 
-// Example of a "View All Products" button handler
-document.querySelector('.btn-view-all-products').addEventListener('click', () => {
-    showToast('Redirecting to the full product catalog!', 'info');
-    // In a real application, you would either:
-    // 1. Redirect to a dedicated products page (e.g., window.location.href = 'products.html';)
-    // 2. Dynamically load/filter a larger product grid on the current page.
-    // For this example, let's just scroll to the top category section
-    document.getElementById('categories-section').scrollIntoView({ behavior: 'smooth' });
+function renderSubscriptionBill(data) {
+    const estimate = getSubscriptionBillEstimate(data);
+    if (estimate.lines.length === 0) {
+        setHtml(subscriptionBill, html`<p>No deliveries scheduled for the next ${SUBSCRIPTION_BILL_DAYS} days.</p>`);
+        return;
+    }
+    setHtml(subscriptionBill, html`
+        <div class="checkout-review-summary">
+            ${estimate.lines.map(line => html`
+                <div class="summary-line"><span>${line.name} (${line.deliveries} deliveries &times; ${line.quantity}):</span><span>₹${line.amount.toFixed(2)}</span></div>
+            `)}
+            <div class="summary-line total-line"><span>Next ${SUBSCRIPTION_BILL_DAYS} days:</span><span>₹${estimate.total.toFixed(2)}</span></div>
+        </div>
+        <p class="subscription-bill-note">Estimated at today's prices, after skipped days, pauses and vacations.</p>
+    `);
+}
+
+function renderVacation(data) {
+    subscriptionsSection.querySelector('.vacation-status').textContent = data.vacation
+        ? `Deliveries are on hold from ${formatDeliveryDate(data.vacation.from)} and start again on ${formatDeliveryDate(data.vacation.to)}.`
+        : 'Going away? Hold all your deliveries between two dates.';
+    vacationForm.querySelector('.btn-end-vacation').classList.toggle('hidden', !data.vacation);
+    const fromInput = vacationForm.querySelector('#vacation-from');
+    const toInput = vacationForm.querySelector('#vacation-to');
+    fromInput.min = getFirstSubscriptionDateKey();
+    toInput.min = toDateKey(addDays(parseDateKey(getFirstSubscriptionDateKey()), 1));
+    fromInput.value = data.vacation ? data.vacation.from : '';
+    toInput.value = data.vacation ? data.vacation.to : '';
+}
+
+function renderSubscriptionCalendar(data) {
+    const days = getUpcomingDeliveries(data, SUBSCRIPTION_CALENDAR_DAYS);
+    setHtml(subscriptionCalendar, html`${days.map(day => html`
+        <li class="calendar-day${day.deliveries.length === 0 ? ' is-empty' : ''}">
+            <span class="calendar-date">${formatDeliveryDate(day.dateKey)}</span>
+            <ul>
+                ${day.deliveries.map(({ subscription, status }) => html`
+                    <li class="calendar-delivery status-${status}">
+                        <span>${subscription.name} &times; ${subscription.quantity}</span>
+                        ${status === 'scheduled' || status === 'skipped' ? html`
+                            <button class="otp-action-btn btn-skip-delivery" data-subscription-id="${subscription.id}" data-date="${day.dateKey}">
+                                ${status === 'skipped' ? 'Undo skip' : 'Skip'}
+                            </button>
+                        ` : ''}
+                        ${status === 'scheduled' || status === 'skipped' ? '' : html`<span class="calendar-delivery-status">${SUBSCRIPTION_STATUS_LABELS[status]}</span>`}
+                    </li>
+                `)}
+            </ul>
+        </li>
+    `)}`);
+}
+
+/**
+ * Renders the subscriptions view: the subscription list and form, the bill estimate, vacation mode
+ * and the delivery calendar, or a login prompt for guests.
+ */
+function renderSubscriptions() {
+    subscriptionsSection.classList.toggle('hidden', !subscriptionsState.isOpen);
+    if (!subscriptionsState.isOpen) return;
+
+    const isLoggedIn = appState.isLoggedIn && appState.currentUser;
+    subscriptionsSection.querySelector('.subscriptions-login-prompt').classList.toggle('hidden', Boolean(isLoggedIn));
+    subscriptionsSection.querySelector('.subscriptions-content').classList.toggle('hidden', !isLoggedIn);
+    if (!isLoggedIn) return;
+
+    const data = loadSubscriptions();
+    renderSubscriptionList(data);
+    subscriptionForm.classList.toggle('hidden', !subscriptionsState.isFormOpen);
+    subscriptionsSection.querySelector('.btn-add-subscription').classList.toggle('hidden', subscriptionsState.isFormOpen);
+    renderSubscriptionBill(data);
+    renderVacation(data);
+    renderSubscriptionCalendar(data);
+}
+
+setHtml(subscriptionForm.querySelector('#subscription-slot'), html`${DELIVERY_SLOT_WINDOWS.map(([startHour]) => html`
+    <option value="${startHour}">${getSubscriptionSlotLabel(startHour)}</option>
+`)}`);
+
+subscriptionForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const subscription = {
+        id: subscriptionsState.editingSubscriptionId,
+        productId: subscriptionForm.querySelector('#subscription-product').value,
+        quantity: Number(subscriptionForm.querySelector('#subscription-quantity').value),
+        frequency: subscriptionForm.querySelector('#subscription-frequency').value,
+        startDate: subscriptionForm.querySelector('#subscription-start').value,
+        slot: parseInt(subscriptionForm.querySelector('#subscription-slot').value, 10)
+    };
+
+    const existing = loadSubscriptions().subscriptions.find(s => s.id === subscription.id) || null;
+    const error = validateSubscription(subscription, existing);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+    const saved = saveSubscription(subscription);
+    closeSubscriptionForm();
+    showToast(`${saved.name} will be delivered ${SUBSCRIPTION_FREQUENCIES[saved.frequency].label.toLowerCase()} from ${formatDeliveryDate(saved.startDate)}.`, 'success');
+});
+
+vacationForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const from = vacationForm.querySelector('#vacation-from').value;
+    const to = vacationForm.querySelector('#vacation-to').value;
+    if (!isValidDateKey(from) || !isValidDateKey(to) || from < getFirstSubscriptionDateKey()) {
+        showToast('Please choose your vacation dates, starting from tomorrow at the earliest.', 'error');
+        return;
+    }
+    if (to <= from) {
+        showToast('Please choose a day you\'re back that comes after the day you leave.', 'error');
+        return;
+    }
+    setVacation({ from, to });
+    renderSubscriptions();
+    showToast(`Deliveries are on hold from ${formatDeliveryDate(from)} and start again on ${formatDeliveryDate(to)}.`, 'success');
+});
+
+subscriptionsSection.addEventListener('click', (e) => {
+    const card = e.target.closest('.subscription-card');
+    const skipBtn = e.target.closest('.btn-skip-delivery');
+    if (e.target.closest('.btn-add-subscription')) {
+        openSubscriptionForm();
+    } else if (e.target.closest('.btn-cancel-subscription')) {
+        closeSubscriptionForm();
+    } else if (e.target.closest('.btn-subscriptions-login')) {
+        openModal(loginModalOverlay);
+    } else if (e.target.closest('.btn-end-vacation')) {
+        setVacation(null);
+        renderSubscriptions();
+        showToast('Vacation mode is off. Your deliveries continue as scheduled.', 'info');
+    } else if (skipBtn) {
+        toggleSkippedDelivery(skipBtn.dataset.subscriptionId, skipBtn.dataset.date);
+        renderSubscriptions();
+    } else if (card && e.target.closest('.btn-pause-subscription')) {
+        toggleSubscriptionPause(card.dataset.subscriptionId);
+        renderSubscriptions();
+    } else if (card && e.target.closest('.btn-edit-subscription')) {
+        openSubscriptionForm(card.dataset.subscriptionId);
+    } else if (card && e.target.closest('.btn-cancel-subscription-plan')) {
+        cancelSubscription(card.dataset.subscriptionId);
+        if (subscriptionsState.editingSubscriptionId === card.dataset.subscriptionId) closeSubscriptionForm();
+        renderSubscriptions();
+    }
+});
+
+document.querySelector('.subscriptions-close-btn').addEventListener('click', closeSubscriptions);
+
+subscribeToLoginState(user => {
+    if (!user) {
+        subscriptionsState.isFormOpen = false;
+        subscriptionsState.editingSubscriptionId = null;
+    }
+    renderSubscriptions();
 });
+subscribe(state => state.products, renderSubscriptions); // Prices and availability come from the catalog
+
 
-// Location selector logic (dummy for now)
-document.getElementById('delivery-location').addEventListener('change', (e) => {
-    showToast(`Delivery location set to: ${e.target.value.toUpperCase()}`, 'info');
-    // In a real app, this would trigger location-based pricing/availability.
+// Location selector: updates delivery pricing and availability for the chosen city
+deliveryLocationSelect.addEventListener('change', (e) => {
+    setDeliveryCity(e.target.value);
+    const unavailableCount = getUnavailableCartItems().length;
+    if (unavailableCount > 0) {
+        showToast(`Delivery location set to ${getCityLabel()}. ${unavailableCount} item(s) in your cart can't be delivered here.`, 'error');
+    } else {
+        showToast(`Delivery location set to ${getCityLabel()}.`, 'info');
+    }
 });
 
 // Contact Form Submission (dummy)
@@ -0,0 +1,354 @@
+/**
+ * Mother Milk Palace - Local Mock Server
+ * Serves the storefront and a mock products API for development, using only Node's
+ * built-in modules.
+ *
+ * Usage:
+ *   node mock-server.js
+ *   PORT=3000 MOCK_LATENCY_MS=1500 MOCK_FAILURE_RATE=0.3 node mock-server.js
+ *
+ * Endpoints:
+ *   GET /api/products and GET /data/products.json - the data/products.json fixture, re-read on
+ *   every request so price and stock edits show up on reload. Both honour the simulated latency and
+ *   failure rate, which makes the storefront's loading, retry and cache behaviour easy to try.
+ *   POST /api/auth/request-code, /register, /login, /reset-password, /logout, PATCH /api/auth/profile
+ *   and GET /api/auth/session -
+ *   an in-memory auth stub for custom.js's fetch auth backend (set the mmp-auth-endpoint meta tag
+ *   to /api/auth). Accounts and sessions are lost when the server restarts. Verification codes
+ *   are printed to this console instead of being texted or emailed.
+ *   Everything else is served as a static file from this folder.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS, 10) || 300;
+const FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE) || 0; // 0..1
+const ROOT_DIR = __dirname;
+const FIXTURE_PATH = path.join(ROOT_DIR, 'data', 'products.json');
+const PRODUCT_ROUTES = ['/api/products', '/data/products.json'];
+const AUTH_PREFIX = '/api/auth';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const REMEMBER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_BODY_LENGTH = 1e5; // Nothing legitimate is this large
+const PASSWORD_MIN_LENGTH = 8; // Same minimum as custom.js (AUTH_PASSWORD_MIN_LENGTH)
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+const CODE_MAX_SENDS_PER_HOUR = 5;
+const CODE_MAX_ATTEMPTS = 5;
+
+const accounts = new Map(); // email -> { name, email, phone, salt, passwordHash }
+const sessions = new Map(); // token -> { email, expiresAt }
+const codes = new Map(); // 'purpose:target' -> { code, expiresAt, attempts, sends }
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': contentTypes['.json'],
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-cache'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function handleProducts(res) {
+    setTimeout(() => {
+        if (Math.random() < FAILURE_RATE) {
+            sendJson(res, 503, { error: 'Simulated outage from mock-server.js' });
+            return;
+        }
+        fs.readFile(FIXTURE_PATH, 'utf8', (error, data) => {
+            if (error) {
+                sendJson(res, 500, { error: `Could not read ${FIXTURE_PATH}` });
+                return;
+            }
+            try {
+                sendJson(res, 200, JSON.parse(data));
+            } catch (parseError) {
+                sendJson(res, 500, { error: `Invalid JSON in data/products.json: ${parseError.message}` });
+            }
+        });
+    }, LATENCY_MS);
+}
+
+function createHttpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+// Resolves with the parsed body ({} if empty). Rejects with error.status 413 for oversized bodies
+// and 400 for anything that isn't a JSON object.
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let isTooLarge = false;
+        req.on('data', chunk => {
+            if (isTooLarge) return; // Keep reading so the 413 response can be delivered
+            body += chunk;
+            if (body.length > MAX_BODY_LENGTH) {
+                isTooLarge = true;
+                reject(createHttpError(413, 'Request body is too large.'));
+            }
+        });
+        req.on('end', () => {
+            if (isTooLarge) return;
+            let data;
+            try {
+                data = body ? JSON.parse(body) : {};
+            } catch (error) {
+                reject(createHttpError(400, 'Request body must be JSON.'));
+                return;
+            }
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                reject(createHttpError(400, 'Request body must be a JSON object.'));
+                return;
+            }
+            resolve(data);
+        });
+        req.on('error', reject);
+    });
+}
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(String(password), salt, 32).toString('hex');
+}
+
+function toUser(account) {
+    return { name: account.name, email: account.email, phone: account.phone };
+}
+
+function createSession(account, remember) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + (remember ? REMEMBER_TTL_MS : SESSION_TTL_MS)).toISOString();
+    sessions.set(token, { email: account.email, expiresAt });
+    return { user: toUser(account), token, expiresAt };
+}
+
+function getBearerSession(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const session = sessions.get(token);
+    if (!session) return null;
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return { token, account: accounts.get(session.email) };
+}
+
+// Returns an error message, or null once the code has been sent
+function issueCode(purpose, target) {
+    const key = `${purpose}:${target}`;
+    const now = Date.now();
+    const sends = ((codes.get(key) || {}).sends || []).filter(sentAt => now - sentAt < 60 * 60 * 1000);
+    const lastSentAt = sends[sends.length - 1];
+    if (lastSentAt && now - lastSentAt < CODE_RESEND_COOLDOWN_MS) {
+        return `Please wait ${Math.ceil((lastSentAt + CODE_RESEND_COOLDOWN_MS - now) / 1000)} seconds before requesting another code.`;
+    }
+    if (sends.length >= CODE_MAX_SENDS_PER_HOUR) {
+        return 'Too many codes requested. Please try again in an hour.';
+    }
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    codes.set(key, { code, expiresAt: now + CODE_TTL_MS, attempts: 0, sends: [...sends, now] });
+    console.log(`[mock ${purpose === 'verify-phone' ? 'sms' : 'email'}] ${purpose} code for ${target}: ${code}`);
+    return null;
+}
+
+// Returns an error message, or null if the code was right (it can't be used again)
+function consumeCode(purpose, target, code) {
+    const entry = codes.get(`${purpose}:${target}`);
+    if (!entry || !entry.code || entry.expiresAt <= Date.now()) return 'This code has expired. Please request a new one.';
+    if (entry.attempts >= CODE_MAX_ATTEMPTS) return 'Too many incorrect attempts. Please request a new code.';
+    if (String(code).trim() !== entry.code) {
+        entry.attempts += 1;
+        return `Incorrect code. ${CODE_MAX_ATTEMPTS - entry.attempts} attempts left.`;
+    }
+    entry.code = null;
+    return null;
+}
+
+async function handleAuth(req, res, route) {
+    let body;
+    try {
+        body = req.method === 'GET' ? {} : await readJsonBody(req);
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.message });
+        return;
+    }
+
+    if (req.method === 'POST' && route === '/request-code') {
+        const target = body.purpose === 'reset-password' ? String(body.target || '').trim().toLowerCase() : String(body.target || '');
+        if (!['verify-phone', 'reset-password'].includes(body.purpose) || !target) {
+            sendJson(res, 400, { error: 'A purpose and target are required.' });
+            return;
+        }
+        // Unknown emails get the same answer so the endpoint can't be used to find accounts
+        const error = body.purpose === 'reset-password' && !accounts.has(target) ? null : issueCode(body.purpose, target);
+        if (error) {
+            sendJson(res, 429, { error });
+            return;
+        }
+        const now = Date.now();
+        sendJson(res, 200, {
+            expiresAt: new Date(now + CODE_TTL_MS).toISOString(),
+            resendAt: new Date(now + CODE_RESEND_COOLDOWN_MS).toISOString()
+        });
+    } else if (req.method === 'POST' && route === '/register') {
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!email || !body.password || String(body.password).length < PASSWORD_MIN_LENGTH) {
+            sendJson(res, 400, { error: `Email and a password of at least ${PASSWORD_MIN_LENGTH} characters are required.` });
+            return;
+        }
+        if (accounts.has(email)) {
+            sendJson(res, 409, { error: 'An account with this email already exists. Please log in instead.' });
+            return;
+        }
+        const codeError = consumeCode('verify-phone', String(body.phone || ''), body.phoneCode || '');
+        if (codeError) {
+            sendJson(res, 400, { error: codeError });
+            return;
+        }
+        const salt = crypto.randomBytes(16).toString('hex');
+        const account = { name: body.name, email, phone: body.phone, salt, passwordHash: hashPassword(body.password, salt) };
+        accounts.set(email, account);
+        sendJson(res, 201, createSession(account, false));
+    } else if (req.method === 'POST' && route === '/login') {
+        const account = accounts.get(String(body.email || '').trim().toLowerCase());
+        const passwordHash = hashPassword(body.password || '', account ? account.salt : 'unknown-account');
+        if (!account || !crypto.timingSafeEqual(Buffer.from(passwordHash), Buffer.from(account.passwordHash))) {
+            sendJson(res, 401, { error: 'Invalid email or password.' });
+            return;
+        }
+        sendJson(res, 200, createSession(account, Boolean(body.remember)));
+    } else if (req.method === 'POST' && route === '/reset-password') {
+        const email = String(body.email || '').trim().toLowerCase();
+        const account = accounts.get(email);
+        if (!body.password || String(body.password).length < PASSWORD_MIN_LENGTH) {
+            sendJson(res, 400, { error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.` });
+            return;
+        }
+        const codeError = consumeCode('reset-password', email, body.code || '');
+        if (codeError || !account) {
+            sendJson(res, 400, { error: codeError || 'This code has expired. Please request a new one.' });
+            return;
+        }
+        account.salt = crypto.randomBytes(16).toString('hex');
+        account.passwordHash = hashPassword(body.password, account.salt);
+        sessions.forEach((session, token) => {
+            if (session.email === email) sessions.delete(token);
+        });
+        sendJson(res, 200, {});
+    } else if (req.method === 'PATCH' && route === '/profile') {
+        const session = getBearerSession(req);
+        if (!session || !session.account) {
+            sendJson(res, 401, { error: 'Your session has expired. Please log in again.' });
+            return;
+        }
+        const { account } = session;
+        const email = String(body.email || '').trim().toLowerCase();
+        const phone = String(body.phone || '');
+        if (!body.name || !email || !phone) {
+            sendJson(res, 400, { error: 'Name, email and phone are required.' });
+            return;
+        }
+        if (email !== account.email && accounts.has(email)) {
+            sendJson(res, 409, { error: 'An account with this email already exists.' });
+            return;
+        }
+        if (phone !== account.phone) {
+            const codeError = consumeCode('verify-phone', phone, body.phoneCode || '');
+            if (codeError) {
+                sendJson(res, 400, { error: codeError });
+                return;
+            }
+        }
+        accounts.delete(account.email);
+        sessions.forEach(stored => {
+            if (stored.email === account.email) stored.email = email;
+        });
+        Object.assign(account, { name: body.name, email, phone });
+        accounts.set(email, account);
+        sendJson(res, 200, { user: toUser(account) });
+    } else if (req.method === 'GET' && route === '/session') {
+        const session = getBearerSession(req);
+        if (!session || !session.account) {
+            sendJson(res, 401, { error: 'Session expired.' });
+            return;
+        }
+        sendJson(res, 200, { user: toUser(session.account) });
+    } else if (req.method === 'POST' && route === '/logout') {
+        const session = getBearerSession(req);
+        if (session) sessions.delete(session.token);
+        sendJson(res, 200, {});
+    } else {
+        sendJson(res, 404, { error: 'Unknown auth endpoint.' });
+    }
+}
+
+function handleStatic(pathname, res) {
+    const filePath = path.normalize(path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname));
+    if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': contentTypes[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+// Returns the raw and decoded path, or null for malformed URLs and percent-escapes (e.g. "/%E0%A4%A")
+function parseRequestPath(req) {
+    try {
+        const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        return { pathname, decodedPathname: decodeURIComponent(pathname) };
+    } catch (error) {
+        return null;
+    }
+}
+
+const server = http.createServer((req, res) => {
+    const requestPath = parseRequestPath(req);
+    if (!requestPath) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+    const { pathname, decodedPathname } = requestPath;
+    if (req.method === 'GET' && PRODUCT_ROUTES.includes(pathname)) {
+        handleProducts(res);
+    } else if (pathname.startsWith(`${AUTH_PREFIX}/`)) {
+        handleAuth(req, res, pathname.slice(AUTH_PREFIX.length)).catch(error => {
+            console.error('Auth request failed:', error);
+            if (!res.headersSent) sendJson(res, 500, { error: 'Something went wrong. Please try again.' });
+        });
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        handleStatic(decodedPathname, res);
+    } else {
+        res.writeHead(405);
+        res.end('Method not allowed');
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mother Milk Palace mock server running at http://localhost:${PORT}`);
+    console.log(`Products API: latency ${LATENCY_MS}ms, failure rate ${FAILURE_RATE * 100}%`);
+});
@@ -0,0 +1,104 @@
+/**
+ * Checks for the html`` rendering helpers in custom.js (escapeHtml, html, trustedHtml, setHtml).
+ * Uses only Node's built-in modules: run with `node --test tests/`.
+ *
+ * custom.js is a browser script, so only its "Safe HTML Rendering" section is loaded here, into a
+ * sandbox, and setHtml() writes to a stand-in element.
+ */
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+
+const SECTION_START = '// --- Safe HTML Rendering ---';
+const SECTION_END = '// --- Utility Functions ---';
+
+function loadSafeHtml() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'custom.js'), 'utf8');
+    const start = source.indexOf(SECTION_START);
+    const end = source.indexOf(SECTION_END, start);
+    assert.ok(start !== -1 && end !== -1, 'custom.js should have a Safe HTML Rendering section');
+    const sandbox = {};
+    vm.runInNewContext(`${source.slice(start, end)}
+        this.escapeHtml = escapeHtml;
+        this.trustedHtml = trustedHtml;
+        this.html = html;
+        this.setHtml = setHtml;`, sandbox);
+    return sandbox;
+}
+
+const { escapeHtml, trustedHtml, html, setHtml } = loadSafeHtml();
+
+const IMG_PAYLOAD = '<img src=x onerror=alert(1)>';
+const ATTRIBUTE_PAYLOAD = 'x" onerror="alert(1)';
+
+// Every tag in the output should come from the template, never from the data
+function countTags(markup) {
+    return (markup.match(/</g) || []).length;
+}
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml(IMG_PAYLOAD), '&lt;img src=x onerror=alert(1)&gt;');
+    assert.equal(escapeHtml(ATTRIBUTE_PAYLOAD), 'x&quot; onerror=&quot;alert(1)');
+    assert.equal(escapeHtml("Tom & Jerry's"), 'Tom &amp; Jerry&#39;s');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('html`` escapes a customer name in text content', () => {
+    const { markup } = html`<span class="user-name">Hi, ${IMG_PAYLOAD}</span>`;
+    assert.equal(markup, '<span class="user-name">Hi, &lt;img src=x onerror=alert(1)&gt;</span>');
+    assert.equal(countTags(markup), 2);
+});
+
+test('html`` keeps product fields inside their attributes', () => {
+    const product = {
+        id: ATTRIBUTE_PAYLOAD,
+        name: IMG_PAYLOAD,
+        imageUrl: `javascript:alert(1)" onload="alert(2)`,
+        weight: '<script>alert(3)</script>',
+        price: 45
+    };
+    const { markup } = html`
+        <div class="product-card" data-product-id="${product.id}">
+            <img src="${product.imageUrl}" alt="${product.name}">
+            <h4>${product.name}</h4>
+            <p class="weight">${product.weight}</p>
+            <p class="price">₹${product.price}</p>
+        </div>
+    `;
+    assert.equal(countTags(markup), 9);
+    assert.ok(!markup.includes('<script'));
+    assert.ok(!/"\s+on(error|load)=/.test(markup), 'no attribute should break out of its quotes');
+    assert.ok(markup.includes('data-product-id="x&quot; onerror=&quot;alert(1)"'));
+    assert.ok(markup.includes('<p class="price">₹45</p>'));
+});
+
+test('html`` nests its own markup and joins arrays, escaping every item', () => {
+    const names = [IMG_PAYLOAD, 'Paneer'];
+    const { markup } = html`<ul>${names.map(name => html`<li>${name}</li>`)}</ul>`;
+    assert.equal(markup, '<ul><li>&lt;img src=x onerror=alert(1)&gt;</li><li>Paneer</li></ul>');
+});
+
+test('html`` renders booleans as text and null/undefined as nothing', () => {
+    assert.equal(html`<button aria-pressed="${false}">`.markup, '<button aria-pressed="false">');
+    assert.equal(html`<button aria-pressed="${true}">`.markup, '<button aria-pressed="true">');
+    assert.equal(html`<p>${null}${undefined}</p>`.markup, '<p></p>');
+    assert.equal(html`<p>${0}</p>`.markup, '<p>0</p>');
+});
+
+test('only html`` and trustedHtml() output passes as markup', () => {
+    assert.equal(html`<p>${trustedHtml('<i class="fas fa-check"></i>')}</p>`.markup, '<p><i class="fas fa-check"></i></p>');
+    const forged = { markup: IMG_PAYLOAD };
+    assert.equal(html`<p>${forged}</p>`.markup, '<p>[object Object]</p>');
+});
+
+test('setHtml writes html`` output and rejects everything else', () => {
+    const element = { innerHTML: '' };
+    setHtml(element, html`<h4>${IMG_PAYLOAD}</h4>`);
+    assert.equal(element.innerHTML, '<h4>&lt;img src=x onerror=alert(1)&gt;</h4>');
+
+    assert.throws(() => setHtml(element, IMG_PAYLOAD), { name: 'TypeError' }); // The sandbox has its own TypeError
+    assert.throws(() => setHtml(element, { markup: IMG_PAYLOAD }), { name: 'TypeError' });
+    assert.equal(element.innerHTML, '<h4>&lt;img src=x onerror=alert(1)&gt;</h4>');
+});